@@ -14,6 +14,8 @@ export default class AgentforceActivityTracker extends LightningElement {
     @api trackSessionLifecycle = false;
     @api trackLinkClicks = false;
     @api trackFormSubmissions = false;
+    @api trackMessageFeedback = false;
+    @api trackCsatSurvey = false;
     @api trackMessageCount = false;
     @api trackTimeInChat = false;
 
@@ -24,7 +26,9 @@ export default class AgentforceActivityTracker extends LightningElement {
     subscription = null;
     currentSessionId = null;
     sessionStartTime = null;
+    sessionEndTime = null;
     messageCount = 0;
+    csat = null; // { score, comment, submittedAt } from the end-of-conversation survey
     eventLog = []; // Array of all events for this session
     upsertTimeout = null;
     lastUpsertTime = null;
@@ -137,10 +141,43 @@ export default class AgentforceActivityTracker extends LightningElement {
             return;
         }
 
+        // Survey results arrive after the session has ended - save them straight away
+        if (eventType === 'CSAT_SUBMITTED') {
+            this.handleCsatSubmitted(sessionId, timestamp, data);
+            return;
+        }
+
         // Check if we should upsert (5 events OR 30 seconds)
         this.checkUpsertTriggers();
     }
 
+    /**
+     * Store a CSAT survey result on the current session record
+     * @param {String} sessionId - Session the survey belongs to
+     * @param {Number} timestamp - Submission timestamp
+     * @param {String} data - Event data (JSON string with score and comment)
+     */
+    handleCsatSubmitted(sessionId, timestamp, data) {
+        // A survey for an earlier session arrived after a new one started
+        if (sessionId !== this.currentSessionId) {
+            return;
+        }
+
+        let payload = {};
+        try {
+            payload = data ? JSON.parse(data) : {};
+        } catch {
+            return;
+        }
+
+        this.csat = {
+            score: payload.score,
+            comment: payload.comment || null,
+            submittedAt: timestamp
+        };
+        this.upsertSessionRecord(!this.isSessionActive);
+    }
+
     /**
      * Reset session state for new session
      * @param {String} sessionId - New session ID
@@ -154,7 +191,9 @@ export default class AgentforceActivityTracker extends LightningElement {
 
         this.currentSessionId = sessionId;
         this.sessionStartTime = timestamp;
+        this.sessionEndTime = null;
         this.messageCount = 0;
+        this.csat = null;
         this.eventLog = [];
         this.lastUpsertTime = Date.now();
         this.isSessionActive = true;
@@ -174,11 +213,16 @@ export default class AgentforceActivityTracker extends LightningElement {
         switch (eventType) {
             case 'SESSION_STARTED':
             case 'SESSION_ENDED':
+            case 'PARTICIPANT_CHANGED':
                 return this.trackSessionLifecycle;
             case 'LINK_CLICK':
                 return this.trackLinkClicks;
             case 'FORM_SUBMIT':
                 return this.trackFormSubmissions;
+            case 'MESSAGE_FEEDBACK':
+                return this.trackMessageFeedback;
+            case 'CSAT_SUBMITTED':
+                return this.trackCsatSurvey;
             case 'MESSAGE_SENT':
             case 'MESSAGE_RECEIVED':
                 return this.trackMessageCount;
@@ -206,7 +250,10 @@ export default class AgentforceActivityTracker extends LightningElement {
             'LINK_CLICK': 'Link_Click',
             'FORM_SUBMIT': 'Form_Submit',
             'MESSAGE_SENT': 'Message_Sent',
-            'MESSAGE_RECEIVED': 'Message_Received'
+            'MESSAGE_RECEIVED': 'Message_Received',
+            'PARTICIPANT_CHANGED': 'Participant_Changed',
+            'MESSAGE_FEEDBACK': 'Message_Feedback',
+            'CSAT_SUBMITTED': 'Csat_Submitted'
         };
 
         const eventEntry = {
@@ -269,7 +316,11 @@ export default class AgentforceActivityTracker extends LightningElement {
      * @returns {Object} Activity wrapper object
      */
     buildSessionActivityWrapper(isSessionEnd) {
-        const now = Date.now();
+        // Keep the first end time so later upserts (e.g. a CSAT survey) don't move it
+        if (isSessionEnd && !this.sessionEndTime) {
+            this.sessionEndTime = Date.now();
+        }
+        const now = this.sessionEndTime || Date.now();
 
         // Calculate time in chat (seconds)
         let timeInChat = null;
@@ -288,7 +339,10 @@ export default class AgentforceActivityTracker extends LightningElement {
             userId: Id,
             contactId: null,
             sessionEndTime: isSessionEnd ? now : null,
-            eventCount: this.eventLog.length
+            eventCount: this.eventLog.length,
+            csatScore: this.csat ? this.csat.score : null,
+            csatComment: this.csat ? this.csat.comment : null,
+            csatSubmittedAt: this.csat ? this.csat.submittedAt : null
         };
     }
 
@@ -1,4 +1,5 @@
 import { LightningElement, api } from 'lwc';
+import { getApiLanguage } from 'c/agentforceChatLabels';
 
 /**
  * @description Agentforce Chat - Embedded Service Inline Container
@@ -318,8 +319,8 @@ export default class AgentforceChat extends LightningElement {
                 pathname: window.location.pathname
             });
 
-            // Configure language
-            bootstrap.settings.language = 'en_US';
+            // Match the chat language to the site language
+            bootstrap.settings.language = getApiLanguage();
 
             if (useInlineMode) {
                 // Get the container element for inline mode
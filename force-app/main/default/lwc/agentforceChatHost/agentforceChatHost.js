@@ -3,6 +3,11 @@ import { publish, MessageContext } from 'lightning/messageService';
 import AGENTFORCE_SESSION_CHANNEL from '@salesforce/messageChannel/AgentforceSessionChannel__c';
 import getBackgroundImageUrl from '@salesforce/apex/AgentforceChatHostController.getBackgroundImageUrl';
 import getTokenRequestConfig from '@salesforce/apex/MessagingApiService.getTokenRequestConfig';
+import { LABELS, formatLabel, getApiLanguage, formatTime } from 'c/agentforceChatLabels';
+import { downloadTranscript, printTranscript } from 'c/agentforceTranscript';
+import { markdownToHtml, renderHtml, getClickedLink, isExternalUrl } from 'c/agentforceMarkdown';
+import { buildFeedbackState, setFeedbackState, buildFeedbackEvent } from 'c/agentforceFeedback';
+import { parseChoices, buildChoiceState, setChoiceSelection } from 'c/agentforceChoices';
 
 /**
  * @description Host component for Agentforce Chat in Experience Cloud
@@ -75,8 +80,12 @@ export default class AgentforceChatHost extends LightningElement {
     isAgentTyping = false;
     errorMessage = '';
     _isInitializing = false;
-    _initializingStatus = 'Connecting...';
+    _initializingStatus = LABELS.statusConnecting;
+
+    // Custom Label strings for the template
+    labels = LABELS;
     _isMenuOpen = false;
+    _isExportMenuOpen = false;
 
     // Background Image State
     _backgroundImageUrl = null;
@@ -375,6 +384,14 @@ export default class AgentforceChatHost extends LightningElement {
         return this._sessionStartTimeFormatted || this._formatTime(new Date());
     }
 
+    get connectingToText() {
+        return formatLabel(LABELS.connectingTo, this.chatHeaderTitle);
+    }
+
+    get agentJoinedText() {
+        return formatLabel(LABELS.agentJoined, this.chatHeaderTitle);
+    }
+
     // ==================== LIFECYCLE ====================
 
     connectedCallback() {
@@ -441,6 +458,10 @@ export default class AgentforceChatHost extends LightningElement {
         this.closeSSEConnection();
     }
 
+    renderedCallback() {
+        this._renderMessageHtml();
+    }
+
     /**
      * Check URL for search query parameter and auto-start chat if present
      * Supports both:
@@ -517,17 +538,17 @@ export default class AgentforceChatHost extends LightningElement {
      */
     async initializeMessagingApi() {
         if (!this.hasDeploymentConfigured) {
-            this.errorMessage = 'No deployment configured. Please select a deployment in the component settings.';
+            this.errorMessage = LABELS.errorNoDeployment;
             this._screenState = 'error';
             return false;
         }
 
         this._screenState = 'chat';
         this._isInitializing = true;
-        this._initializingStatus = 'Connecting...';
+        this._initializingStatus = LABELS.statusConnecting;
 
         try {
-            this._initializingStatus = 'Getting configuration...';
+            this._initializingStatus = LABELS.statusGettingConfiguration;
             let config;
             try {
                 config = await getTokenRequestConfig({
@@ -535,7 +556,7 @@ export default class AgentforceChatHost extends LightningElement {
                     deploymentDeveloperName: this.deploymentDeveloperName
                 });
             } catch (apexError) {
-                const apexMessage = apexError.body?.message || apexError.message || 'Configuration failed';
+                const apexMessage = apexError.body?.message || apexError.message || LABELS.errorConfigurationFailed;
                 throw new Error(apexMessage);
             }
 
@@ -546,7 +567,7 @@ export default class AgentforceChatHost extends LightningElement {
             this._scrtUrl = config.scrtUrl;
             this._orgId = config.orgId;
 
-            this._initializingStatus = 'Authenticating...';
+            this._initializingStatus = LABELS.statusAuthenticating;
             const tokenResponse = await this.fetchAccessToken(config);
             if (!tokenResponse || !tokenResponse.accessToken) {
                 throw new Error('Failed to obtain access token');
@@ -555,7 +576,7 @@ export default class AgentforceChatHost extends LightningElement {
             this._accessToken = tokenResponse.accessToken;
             this._lastEventId = tokenResponse.lastEventId || '';
 
-            this._initializingStatus = 'Starting conversation...';
+            this._initializingStatus = LABELS.statusStartingConversation;
             const conversationResponse = await this.createConversation();
             if (!conversationResponse) {
                 throw new Error('Failed to create conversation');
@@ -565,16 +586,16 @@ export default class AgentforceChatHost extends LightningElement {
 
             this.subscribeToSSE();
 
-            this._initializingStatus = 'Connecting to agent...';
+            this._initializingStatus = LABELS.statusConnectingToAgent;
             await this.waitForSessionActive();
 
-            this._initializingStatus = 'Agent is joining...';
+            this._initializingStatus = LABELS.statusAgentJoining;
             await this.waitForAgentGreeting();
 
             this._isInitializing = false;
             return true;
         } catch (error) {
-            const errorDetail = error.body?.message || error.message || 'Failed to connect to agent';
+            const errorDetail = error.body?.message || error.message || LABELS.errorConnectFailed;
             this.errorMessage = errorDetail;
             this._screenState = 'error';
             this._isInitializing = false;
@@ -803,10 +824,11 @@ export default class AgentforceChatHost extends LightningElement {
 
                 if (sender && (sender.role === 'Chatbot' || sender.role === 'Agent')) {
                     this.isAgentTyping = false;
-                    const messageText = abstractMessage?.staticContent?.text || '';
+                    const choices = parseChoices(abstractMessage);
+                    const messageText = abstractMessage?.staticContent?.text || choices?.text || '';
 
-                    if (messageText) {
-                        this.addMessage(messageText, 'agent', false);
+                    if (messageText || choices) {
+                        this.addMessage(markdownToHtml(messageText), 'agent', true, choices, entry.identifier);
                         this.messageCount++;
 
                         if (!this._agentGreetingReceived) {
@@ -858,18 +880,45 @@ export default class AgentforceChatHost extends LightningElement {
      * Send a message through the Messaging API
      */
     async sendMessageToApi(messageText, isNewSession = false) {
-        if (!this._accessToken || !this._conversationId) {
-            throw new Error('Not connected to messaging service');
-        }
-
         console.log('[ChatHost] API SEND:', {
             conversationId: this._conversationId,
             messagePreview: messageText.substring(0, 50) + (messageText.length > 50 ? '...' : ''),
             isNewSession
         });
 
+        return this._postMessageToApi({
+            id: this.generateUUID(),
+            messageType: 'StaticContentMessage',
+            staticContent: { formatType: 'Text', text: messageText }
+        }, isNewSession);
+    }
+
+    /**
+     * Send the user's selection for a ChoicesMessage (buttons / quick replies)
+     * @param {String} inReplyToMessageId - Id of the agent's ChoicesMessage
+     * @param {Object} option - The selected option ({ optionIdentifier, title })
+     */
+    async sendChoiceResponseToApi(inReplyToMessageId, option) {
+        return this._postMessageToApi({
+            id: this.generateUUID(),
+            messageType: 'ChoicesResponseMessage',
+            inReplyToMessageId: inReplyToMessageId,
+            choicesResponse: {
+                choicesResponseType: 'Selection',
+                selectedOptions: [{ optionIdentifier: option.optionIdentifier }]
+            }
+        }, false);
+    }
+
+    /**
+     * POST a message entry to the conversation
+     */
+    async _postMessageToApi(message, isNewSession = false) {
+        if (!this._accessToken || !this._conversationId) {
+            throw new Error('Not connected to messaging service');
+        }
+
         const messageUrl = `${this._scrtUrl}/iamessage/api/v2/conversation/${this._conversationId}/message`;
-        const messageId = this.generateUUID();
 
         const response = await fetch(messageUrl, {
             method: 'POST',
@@ -878,14 +927,10 @@ export default class AgentforceChatHost extends LightningElement {
                 'Authorization': `Bearer ${this._accessToken}`
             },
             body: JSON.stringify({
-                message: {
-                    id: messageId,
-                    messageType: 'StaticContentMessage',
-                    staticContent: { formatType: 'Text', text: messageText }
-                },
+                message: message,
                 esDeveloperName: this.deploymentDeveloperName,
                 isNewMessagingSession: isNewSession,
-                language: 'en'
+                language: getApiLanguage()
             })
         });
 
@@ -993,64 +1038,182 @@ export default class AgentforceChatHost extends LightningElement {
             await this.sendMessageToApi(messageText, isFirstMessage);
         } catch (error) {
             this.isAgentTyping = false;
-            this.addMessage('Sorry, there was an error sending your message. Please try again.', 'agent');
+            this.addMessage(LABELS.errorSendMessage, 'agent');
+        }
+    }
+
+    /**
+     * Handle a click on a choice chip (button or quick reply) under an agent message
+     */
+    async handleChoiceClick(event) {
+        const { messageId, optionId } = event.currentTarget.dataset;
+        const message = this.messages.find(msg => msg.id === messageId);
+        if (!message || message.choicesUsed || !this._accessToken) {
+            return;
+        }
+
+        const option = message.choicesData.options.find(opt => opt.optionIdentifier === optionId);
+        if (!option) {
+            return;
+        }
+
+        // Disable the choices straight away so a double click can't send twice
+        this.messages = setChoiceSelection(this.messages, messageId, optionId);
+        this.addMessage(option.title, 'user');
+        this.messageCount++;
+
+        this.publishToChannel('MESSAGE_SENT', {
+            messageIndex: this.messageCount,
+            isChoiceResponse: true
+        });
+
+        this.isAgentTyping = true;
+
+        try {
+            await this.sendChoiceResponseToApi(message.choicesData.messageId, option);
+        } catch {
+            this.isAgentTyping = false;
+            // Re-enable the choices so the user can pick again
+            this.messages = setChoiceSelection(this.messages, messageId, null);
+            this.addMessage(LABELS.errorSendSelection, 'agent');
+        }
+    }
+
+    /**
+     * Delegated click handler for links inside a message bubble - publishes LINK_CLICK
+     * and leaves the link to open as normal
+     */
+    handleMessageBubbleClick(event) {
+        const link = getClickedLink(event);
+        if (!link) {
+            return;
+        }
+        const href = link.href || link.getAttribute('href') || '';
+        this.publishToChannel('LINK_CLICK', {
+            url: href,
+            linkText: (link.textContent || '').trim(),
+            messageIndex: this.messages.findIndex(msg => msg.id === event.currentTarget.dataset.messageId) + 1,
+            isExternal: isExternalUrl(href),
+            linkSource: 'message'
+        });
+    }
+
+    /**
+     * Thumbs up / down on an agent reply - publishes MESSAGE_FEEDBACK straight away and
+     * opens the optional comment box. The latest rating for a message is the one that counts.
+     */
+    handleFeedbackClick(event) {
+        const { messageId, rating } = event.currentTarget.dataset;
+        const message = this.messages.find(msg => msg.id === messageId);
+        if (!message || message.feedbackRating === rating) {
+            return;
+        }
+
+        this.messages = setFeedbackState(this.messages, messageId, { rating, commentStatus: 'open' });
+        this.publishToChannel('MESSAGE_FEEDBACK', buildFeedbackEvent(message, this.messages, rating));
+    }
+
+    handleFeedbackCommentSubmit(event) {
+        const messageId = event.currentTarget.dataset.messageId;
+        const message = this.messages.find(msg => msg.id === messageId);
+        const textarea = this.template.querySelector(`[data-feedback-comment-id="${messageId}"]`);
+        const comment = (textarea?.value || '').trim();
+        if (!message || !comment) {
+            return;
+        }
+
+        this.messages = setFeedbackState(this.messages, messageId, { rating: message.feedbackRating, commentStatus: 'sent' });
+        this.publishToChannel('MESSAGE_FEEDBACK', buildFeedbackEvent(message, this.messages, message.feedbackRating, comment));
+    }
+
+    handleFeedbackCommentCancel(event) {
+        const messageId = event.currentTarget.dataset.messageId;
+        const message = this.messages.find(msg => msg.id === messageId);
+        if (message) {
+            this.messages = setFeedbackState(this.messages, messageId, { rating: message.feedbackRating, commentStatus: null });
         }
     }
 
     handleMenuClick() {
         this._isMenuOpen = !this._isMenuOpen;
+        this._isExportMenuOpen = false;
     }
 
     handleCloseMenu() {
         this._isMenuOpen = false;
+        this._isExportMenuOpen = false;
     }
 
     get isMenuOpen() {
         return this._isMenuOpen;
     }
 
+    get isExportMenuOpen() {
+        return this._isExportMenuOpen;
+    }
+
+    get exportMenuExpanded() {
+        return String(this._isExportMenuOpen);
+    }
+
+    get exportMenuIconName() {
+        return this._isExportMenuOpen ? 'utility:chevronup' : 'utility:chevrondown';
+    }
+
+    get transcriptFormatOptions() {
+        return [
+            { value: 'text', label: LABELS.transcriptFormatText },
+            { value: 'html', label: LABELS.transcriptFormatHtml },
+            { value: 'markdown', label: LABELS.transcriptFormatMarkdown },
+            { value: 'json', label: LABELS.transcriptFormatJson },
+            { value: 'print', label: LABELS.transcriptPrint }
+        ];
+    }
+
     handleEndSessionClick() {
         this._isMenuOpen = false;
         this.endSession();
     }
 
     handleDownloadTranscriptClick() {
+        this._isExportMenuOpen = !this._isExportMenuOpen;
+    }
+
+    handleTranscriptFormatClick(event) {
         this._isMenuOpen = false;
-        this._downloadTranscript();
+        this._isExportMenuOpen = false;
+        this._exportTranscript(event.currentTarget.dataset.format);
     }
 
     /**
-     * Generate and download chat transcript as a text file
+     * Export the chat transcript in the chosen format
+     * @param {String} format - 'text', 'html', 'markdown', 'json' or 'print'
      */
-    _downloadTranscript() {
+    _exportTranscript(format) {
         if (this.messages.length === 0) {
             return;
         }
 
-        // Build transcript content
-        let transcript = `Chat Transcript - ${this.chatHeaderTitle}\n`;
-        transcript += `Session ID: ${this.currentSessionId}\n`;
-        transcript += `Date: ${new Date().toLocaleDateString()}\n`;
-        transcript += `${'='.repeat(50)}\n\n`;
+        const options = {
+            title: this.chatHeaderTitle,
+            sessionId: this.currentSessionId,
+            messages: this.messages,
+            colors: {
+                accent: this.sendButtonColor,
+                agentBubble: this.agentBubbleColor,
+                userBubble: this.userBubbleColor,
+                userText: this._getEffectiveUserTextColor()
+            }
+        };
 
-        for (const msg of this.messages) {
-            transcript += `[${msg.time}] ${msg.senderName}:\n`;
-            transcript += `${msg.text}\n\n`;
+        if (format === 'print') {
+            // Pop-up blocked - fall back to the HTML file, which prints the same way
+            if (!printTranscript(options)) {
+                downloadTranscript('html', options);
+            }
+            return;
         }
-
-        transcript += `${'='.repeat(50)}\n`;
-        transcript += `End of transcript - ${this.messages.length} messages`;
-
-        // Create and trigger download
-        const blob = new Blob([transcript], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `chat-transcript-${new Date().toISOString().split('T')[0]}.txt`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
+        downloadTranscript(format, options);
     }
 
     handleRetry() {
@@ -1062,7 +1225,7 @@ export default class AgentforceChatHost extends LightningElement {
 
     // ==================== MESSAGE HANDLING ====================
 
-    addMessage(text, sender, isHtml = false) {
+    addMessage(text, sender, isHtml = false, choices = null, entryId = null) {
         this._messageIdCounter++;
         let bubbleStyle;
         if (sender === 'agent') {
@@ -1079,10 +1242,16 @@ export default class AgentforceChatHost extends LightningElement {
             isUser: sender === 'user',
             isHtml: isHtml,
             time: this._formatTime(new Date()),
-            senderName: sender === 'agent' ? this.chatHeaderTitle : 'You',
+            timestamp: Date.now(),
+            senderName: sender === 'agent' ? this.chatHeaderTitle : LABELS.you,
             containerClass: `message-row ${sender}`,
             bubbleClass: `message-bubble ${sender}`,
-            bubbleStyle: bubbleStyle
+            bubbleStyle: bubbleStyle,
+            hasText: !!text,
+            entryId: entryId,
+            canRate: sender === 'agent' && !!entryId, // Local error notices have no entry and can't be rated
+            ...buildFeedbackState(),
+            ...buildChoiceState(choices)
         };
 
         this.messages = [...this.messages, message];
@@ -1094,6 +1263,19 @@ export default class AgentforceChatHost extends LightningElement {
         }, 50);
     }
 
+    /**
+     * Fill each agent reply's lwc:dom="manual" container, so its links are part of this
+     * template and handleMessageBubbleClick sees them in either shadow mode
+     */
+    _renderMessageHtml() {
+        this.template.querySelectorAll('.message-html').forEach(container => {
+            const message = this.messages.find(msg => msg.id === container.dataset.messageId);
+            if (message) {
+                renderHtml(container, message.text);
+            }
+        });
+    }
+
     scrollToBottom() {
         const container = this.refs.messagesContainer;
         if (container) {
@@ -1136,11 +1318,7 @@ export default class AgentforceChatHost extends LightningElement {
     // ==================== UTILITIES ====================
 
     _formatTime(date) {
-        return date.toLocaleTimeString('en-US', {
-            hour: 'numeric',
-            minute: '2-digit',
-            hour12: true
-        });
+        return formatTime(date);
     }
 
     // ==================== PUBLIC API ====================
@@ -1215,7 +1393,7 @@ export default class AgentforceChatHost extends LightningElement {
             this._agentGreetingReceived = false;
             this._agentGreetingResolver = null;
             this._isInitializing = false;
-            this._initializingStatus = 'Connecting...';
+            this._initializingStatus = LABELS.statusConnecting;
             this.generateSessionId();
         }
     }
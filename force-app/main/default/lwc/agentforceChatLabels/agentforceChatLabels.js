@@ -0,0 +1,233 @@
+import LANG from '@salesforce/i18n/lang';
+import LOCALE from '@salesforce/i18n/locale';
+
+import typeMessage from '@salesforce/label/c.AgentforceChat_TypeMessage';
+import menu from '@salesforce/label/c.AgentforceChat_Menu';
+import downloadTranscript from '@salesforce/label/c.AgentforceChat_DownloadTranscript';
+import endSession from '@salesforce/label/c.AgentforceChat_EndSession';
+import loading from '@salesforce/label/c.AgentforceChat_Loading';
+import today from '@salesforce/label/c.AgentforceChat_Today';
+import connectingTo from '@salesforce/label/c.AgentforceChat_ConnectingTo';
+import tryAgain from '@salesforce/label/c.AgentforceChat_TryAgain';
+import statusConnecting from '@salesforce/label/c.AgentforceChat_StatusConnecting';
+import statusGettingConfiguration from '@salesforce/label/c.AgentforceChat_StatusGettingConfiguration';
+import statusAuthenticating from '@salesforce/label/c.AgentforceChat_StatusAuthenticating';
+import statusStartingConversation from '@salesforce/label/c.AgentforceChat_StatusStartingConversation';
+import statusConnectingToAgent from '@salesforce/label/c.AgentforceChat_StatusConnectingToAgent';
+import statusAgentJoining from '@salesforce/label/c.AgentforceChat_StatusAgentJoining';
+import statusLoadingConversation from '@salesforce/label/c.AgentforceChat_StatusLoadingConversation';
+import errorNoDeployment from '@salesforce/label/c.AgentforceChat_ErrorNoDeployment';
+import errorConfigurationFailed from '@salesforce/label/c.AgentforceChat_ErrorConfigurationFailed';
+import errorConnectFailed from '@salesforce/label/c.AgentforceChat_ErrorConnectFailed';
+import errorSessionExpired from '@salesforce/label/c.AgentforceChat_ErrorSessionExpired';
+import errorSendMessage from '@salesforce/label/c.AgentforceChat_ErrorSendMessage';
+import errorSendSelection from '@salesforce/label/c.AgentforceChat_ErrorSendSelection';
+import errorUploadFile from '@salesforce/label/c.AgentforceChat_ErrorUploadFile';
+import you from '@salesforce/label/c.AgentforceChat_You';
+import reconnecting from '@salesforce/label/c.AgentforceChat_Reconnecting';
+import connectionLost from '@salesforce/label/c.AgentforceChat_ConnectionLost';
+import reconnect from '@salesforce/label/c.AgentforceChat_Reconnect';
+import waitingForAgent from '@salesforce/label/c.AgentforceChat_WaitingForAgent';
+import nextInLine from '@salesforce/label/c.AgentforceChat_NextInLine';
+import positionInLine from '@salesforce/label/c.AgentforceChat_PositionInLine';
+import waitLessThanMinute from '@salesforce/label/c.AgentforceChat_WaitLessThanMinute';
+import waitMinutes from '@salesforce/label/c.AgentforceChat_WaitMinutes';
+import waitingElapsed from '@salesforce/label/c.AgentforceChat_WaitingElapsed';
+import leaveMessageInstead from '@salesforce/label/c.AgentforceChat_LeaveMessageInstead';
+import leftMessageNotice from '@salesforce/label/c.AgentforceChat_LeftMessageNotice';
+import agentFallbackName from '@salesforce/label/c.AgentforceChat_AgentFallbackName';
+import agentJoined from '@salesforce/label/c.AgentforceChat_AgentJoined';
+import agentLeft from '@salesforce/label/c.AgentforceChat_AgentLeft';
+import deliveryQueued from '@salesforce/label/c.AgentforceChat_DeliveryQueued';
+import deliverySending from '@salesforce/label/c.AgentforceChat_DeliverySending';
+import deliverySent from '@salesforce/label/c.AgentforceChat_DeliverySent';
+import deliveryDelivered from '@salesforce/label/c.AgentforceChat_DeliveryDelivered';
+import deliveryRead from '@salesforce/label/c.AgentforceChat_DeliveryRead';
+import deliveryFailed from '@salesforce/label/c.AgentforceChat_DeliveryFailed';
+import retry from '@salesforce/label/c.AgentforceChat_Retry';
+import deleteMessage from '@salesforce/label/c.AgentforceChat_Delete';
+import conversationEnded from '@salesforce/label/c.AgentforceChat_ConversationEnded';
+import startNewChat from '@salesforce/label/c.AgentforceChat_StartNewChat';
+import dismiss from '@salesforce/label/c.AgentforceChat_Dismiss';
+import close from '@salesforce/label/c.AgentforceChat_Close';
+import attachFile from '@salesforce/label/c.AgentforceChat_AttachFile';
+import dropFiles from '@salesforce/label/c.AgentforceChat_DropFiles';
+import attachmentFallbackName from '@salesforce/label/c.AgentforceChat_AttachmentFallbackName';
+import attachmentTooLarge from '@salesforce/label/c.AgentforceChat_AttachmentTooLarge';
+import attachmentTypeNotAllowed from '@salesforce/label/c.AgentforceChat_AttachmentTypeNotAllowed';
+import historyLoadFailed from '@salesforce/label/c.AgentforceChat_HistoryLoadFailed';
+import transcriptTitle from '@salesforce/label/c.AgentforceChat_TranscriptTitle';
+import transcriptSessionId from '@salesforce/label/c.AgentforceChat_TranscriptSessionId';
+import transcriptDate from '@salesforce/label/c.AgentforceChat_TranscriptDate';
+import transcriptEnd from '@salesforce/label/c.AgentforceChat_TranscriptEnd';
+import sources from '@salesforce/label/c.AgentforceChat_Sources';
+import sourcesCount from '@salesforce/label/c.AgentforceChat_SourcesCount';
+import sourceFallbackTitle from '@salesforce/label/c.AgentforceChat_SourceFallbackTitle';
+import knowledgeArticle from '@salesforce/label/c.AgentforceChat_KnowledgeArticle';
+import sourceDetailsUnavailable from '@salesforce/label/c.AgentforceChat_SourceDetailsUnavailable';
+import submit from '@salesforce/label/c.AgentforceChat_Submit';
+import formSubmitted from '@salesforce/label/c.AgentforceChat_FormSubmitted';
+import selectAnOption from '@salesforce/label/c.AgentforceChat_SelectAnOption';
+import errorSubmitForm from '@salesforce/label/c.AgentforceChat_ErrorSubmitForm';
+import feedbackHelpful from '@salesforce/label/c.AgentforceChat_FeedbackHelpful';
+import feedbackNotHelpful from '@salesforce/label/c.AgentforceChat_FeedbackNotHelpful';
+import feedbackCommentPlaceholder from '@salesforce/label/c.AgentforceChat_FeedbackCommentPlaceholder';
+import feedbackSend from '@salesforce/label/c.AgentforceChat_FeedbackSend';
+import feedbackThanks from '@salesforce/label/c.AgentforceChat_FeedbackThanks';
+import csatQuestion from '@salesforce/label/c.AgentforceChat_CsatQuestion';
+import csatRatingOption from '@salesforce/label/c.AgentforceChat_CsatRatingOption';
+import csatRatingLow from '@salesforce/label/c.AgentforceChat_CsatRatingLow';
+import csatRatingHigh from '@salesforce/label/c.AgentforceChat_CsatRatingHigh';
+import transcriptFormatText from '@salesforce/label/c.AgentforceChat_TranscriptFormatText';
+import transcriptFormatHtml from '@salesforce/label/c.AgentforceChat_TranscriptFormatHtml';
+import transcriptFormatMarkdown from '@salesforce/label/c.AgentforceChat_TranscriptFormatMarkdown';
+import transcriptFormatJson from '@salesforce/label/c.AgentforceChat_TranscriptFormatJson';
+import transcriptPrint from '@salesforce/label/c.AgentforceChat_TranscriptPrint';
+import transcriptAttachment from '@salesforce/label/c.AgentforceChat_TranscriptAttachment';
+import emailTranscript from '@salesforce/label/c.AgentforceChat_EmailTranscript';
+import emailAddress from '@salesforce/label/c.AgentforceChat_EmailAddress';
+import emailAddressOptional from '@salesforce/label/c.AgentforceChat_EmailAddressOptional';
+import transcriptEmailSent from '@salesforce/label/c.AgentforceChat_TranscriptEmailSent';
+import errorInvalidEmail from '@salesforce/label/c.AgentforceChat_ErrorInvalidEmail';
+import errorEmailTranscript from '@salesforce/label/c.AgentforceChat_ErrorEmailTranscript';
+import saveTranscript from '@salesforce/label/c.AgentforceChat_SaveTranscript';
+import transcriptSaved from '@salesforce/label/c.AgentforceChat_TranscriptSaved';
+import errorSaveTranscript from '@salesforce/label/c.AgentforceChat_ErrorSaveTranscript';
+import minimizeChat from '@salesforce/label/c.AgentforceChat_MinimizeChat';
+import closeChat from '@salesforce/label/c.AgentforceChat_CloseChat';
+import unreadMessages from '@salesforce/label/c.AgentforceChat_UnreadMessages';
+import unreadTitle from '@salesforce/label/c.AgentforceChat_UnreadTitle';
+import newReplyFrom from '@salesforce/label/c.AgentforceChat_NewReplyFrom';
+
+/**
+ * Shared UI strings and locale helpers for the Agentforce chat host components
+ * Strings come from Custom Labels (category AgentforceChat), so every Experience Cloud
+ * site language gets its own translation from force-app/main/default/translations
+ */
+const LABELS = {
+    typeMessage,
+    menu,
+    downloadTranscript,
+    endSession,
+    loading,
+    today,
+    connectingTo,
+    tryAgain,
+    statusConnecting,
+    statusGettingConfiguration,
+    statusAuthenticating,
+    statusStartingConversation,
+    statusConnectingToAgent,
+    statusAgentJoining,
+    statusLoadingConversation,
+    errorNoDeployment,
+    errorConfigurationFailed,
+    errorConnectFailed,
+    errorSessionExpired,
+    errorSendMessage,
+    errorSendSelection,
+    errorUploadFile,
+    you,
+    reconnecting,
+    connectionLost,
+    reconnect,
+    waitingForAgent,
+    nextInLine,
+    positionInLine,
+    waitLessThanMinute,
+    waitMinutes,
+    waitingElapsed,
+    leaveMessageInstead,
+    leftMessageNotice,
+    agentFallbackName,
+    agentJoined,
+    agentLeft,
+    deliveryQueued,
+    deliverySending,
+    deliverySent,
+    deliveryDelivered,
+    deliveryRead,
+    deliveryFailed,
+    retry,
+    deleteMessage,
+    conversationEnded,
+    startNewChat,
+    dismiss,
+    close,
+    attachFile,
+    dropFiles,
+    attachmentFallbackName,
+    attachmentTooLarge,
+    attachmentTypeNotAllowed,
+    historyLoadFailed,
+    transcriptTitle,
+    transcriptSessionId,
+    transcriptDate,
+    transcriptEnd,
+    sources,
+    sourcesCount,
+    sourceFallbackTitle,
+    knowledgeArticle,
+    sourceDetailsUnavailable,
+    submit,
+    formSubmitted,
+    selectAnOption,
+    errorSubmitForm,
+    feedbackHelpful,
+    feedbackNotHelpful,
+    feedbackCommentPlaceholder,
+    feedbackSend,
+    feedbackThanks,
+    csatQuestion,
+    csatRatingOption,
+    csatRatingLow,
+    csatRatingHigh,
+    transcriptFormatText,
+    transcriptFormatHtml,
+    transcriptFormatMarkdown,
+    transcriptFormatJson,
+    transcriptPrint,
+    transcriptAttachment,
+    emailTranscript,
+    emailAddress,
+    emailAddressOptional,
+    transcriptEmailSent,
+    errorInvalidEmail,
+    errorEmailTranscript,
+    saveTranscript,
+    transcriptSaved,
+    errorSaveTranscript,
+    minimizeChat,
+    closeChat,
+    unreadMessages,
+    unreadTitle,
+    newReplyFrom
+};
+
+/**
+ * Replace {0}, {1}... placeholders in a label
+ * @param {String} label - Label value
+ * @param {...*} args - Values for the placeholders
+ */
+function formatLabel(label, ...args) {
+    return label.replace(/\{(\d+)\}/g, (match, index) => (args[index] !== undefined ? args[index] : match));
+}
+
+/**
+ * Language sent to the Messaging API, taken from the site language (e.g. 'fr', 'en_US')
+ */
+function getApiLanguage() {
+    return (LANG || 'en_US').replace('-', '_');
+}
+
+/**
+ * Time of day in the user's locale - the locale decides between a 12 and 24-hour clock
+ */
+function formatTime(date) {
+    return date.toLocaleTimeString(LOCALE, {
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
+
+export { LABELS, formatLabel, getApiLanguage, formatTime };
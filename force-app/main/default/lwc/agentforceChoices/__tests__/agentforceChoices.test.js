@@ -0,0 +1,93 @@
+import { parseChoices, buildChoiceState, setChoiceSelection } from 'c/agentforceChoices';
+
+const choicesMessage = {
+    id: 'message-1',
+    messageType: 'ChoicesMessage',
+    choices: {
+        text: 'What do you need?',
+        formatType: 'QuickReplies',
+        optionItems: [
+            { optionIdentifier: 'opt-1', titleItem: { title: 'Billing' } },
+            { optionIdentifier: 'opt-2', title: 'Shipping' },
+            { optionIdentifier: 'opt-3', titleItem: { title: '' } }
+        ]
+    }
+};
+
+describe('c-agentforce-choices', () => {
+    describe('parseChoices', () => {
+        it('keeps only options with an identifier and a title', () => {
+            expect(parseChoices(choicesMessage)).toEqual({
+                text: 'What do you need?',
+                format: 'QuickReplies',
+                messageId: 'message-1',
+                options: [
+                    { optionIdentifier: 'opt-1', title: 'Billing' },
+                    { optionIdentifier: 'opt-2', title: 'Shipping' }
+                ]
+            });
+        });
+
+        it('reads list picker items and defaults to buttons', () => {
+            const parsed = parseChoices({
+                id: 'message-2',
+                messageType: 'ChoicesMessage',
+                choices: { items: [{ optionIdentifier: 'opt-1', title: 'Yes' }] }
+            });
+            expect(parsed.format).toBe('Buttons');
+            expect(parsed.text).toBe('');
+            expect(parsed.options).toEqual([{ optionIdentifier: 'opt-1', title: 'Yes' }]);
+        });
+
+        it('returns null for other messages or no usable options', () => {
+            expect(parseChoices({ messageType: 'StaticContentMessage' })).toBeNull();
+            expect(parseChoices(undefined)).toBeNull();
+            expect(
+                parseChoices({ messageType: 'ChoicesMessage', choices: { optionItems: [{ title: 'No id' }] } })
+            ).toBeNull();
+        });
+    });
+
+    describe('buildChoiceState', () => {
+        it('has no choices without parsed choices', () => {
+            expect(buildChoiceState(null)).toEqual({ hasChoices: false, choices: [] });
+        });
+
+        it('builds enabled chips before a pick', () => {
+            const state = buildChoiceState(parseChoices(choicesMessage));
+            expect(state.hasChoices).toBe(true);
+            expect(state.choicesUsed).toBe(false);
+            expect(state.choicesClass).toBe('message-choices quick-replies');
+            expect(state.choices[0]).toEqual({
+                key: 'opt-1',
+                optionIdentifier: 'opt-1',
+                title: 'Billing',
+                disabled: false,
+                chipClass: 'choice-chip'
+            });
+        });
+
+        it('disables the chips and marks the picked one', () => {
+            const state = buildChoiceState(parseChoices(choicesMessage), 'opt-2');
+            expect(state.choicesUsed).toBe(true);
+            expect(state.choices.map((choice) => choice.disabled)).toEqual([true, true]);
+            expect(state.choices[1].chipClass).toBe('choice-chip selected');
+        });
+    });
+
+    it('updates only the message with the picked choice', () => {
+        const choices = parseChoices(choicesMessage);
+        const messages = [
+            { id: 'msg-1', text: 'a', ...buildChoiceState(null) },
+            { id: 'msg-2', text: 'b', ...buildChoiceState(choices) }
+        ];
+
+        const picked = setChoiceSelection(messages, 'msg-2', 'opt-1');
+        expect(picked).not.toBe(messages);
+        expect(picked[0]).toBe(messages[0]);
+        expect(picked[1]).toMatchObject({ id: 'msg-2', text: 'b', choicesUsed: true });
+
+        const reset = setChoiceSelection(picked, 'msg-2', null);
+        expect(reset[1].choicesUsed).toBe(false);
+    });
+});
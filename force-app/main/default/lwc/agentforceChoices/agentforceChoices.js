@@ -0,0 +1,78 @@
+/**
+ * Clickable options on agent replies (buttons, quick replies, list pickers), shared by
+ * the Agentforce chat hosts
+ *
+ * Each host parses a ChoicesMessage with parseChoices and keeps the choice state on its
+ * message objects (spread in by buildChoiceState).
+ */
+
+/**
+ * Extract clickable options from a ChoicesMessage
+ * @param {Object} abstractMessage - The abstractMessage from the SSE entry payload
+ * @returns {Object} { text, format, messageId, options: [{ optionIdentifier, title }] } or null
+ */
+function parseChoices(abstractMessage) {
+    if (abstractMessage?.messageType !== 'ChoicesMessage' || !abstractMessage.choices) {
+        return null;
+    }
+
+    const choices = abstractMessage.choices;
+    const items = choices.optionItems || choices.items || [];
+    const options = items
+        .map((item) => ({
+            optionIdentifier: item.optionIdentifier,
+            title: item.titleItem?.title || item.title || ''
+        }))
+        .filter((option) => option.optionIdentifier && option.title);
+
+    if (options.length === 0) {
+        return null;
+    }
+
+    return {
+        text: choices.text || '',
+        format: choices.formatType || 'Buttons',
+        messageId: abstractMessage.id,
+        options: options
+    };
+}
+
+/**
+ * Build the template state for a message's choices
+ * @param {Object} choices - Parsed choices from parseChoices (or null)
+ * @param {String} selectedOptionId - The option already picked (null if none)
+ */
+function buildChoiceState(choices, selectedOptionId = null) {
+    if (!choices) {
+        return { hasChoices: false, choices: [] };
+    }
+
+    const isUsed = selectedOptionId !== null;
+    return {
+        hasChoices: true,
+        choicesData: choices,
+        choicesUsed: isUsed,
+        choicesClass: choices.format === 'QuickReplies' ? 'message-choices quick-replies' : 'message-choices buttons',
+        choices: choices.options.map((option) => ({
+            key: option.optionIdentifier,
+            optionIdentifier: option.optionIdentifier,
+            title: option.title,
+            disabled: isUsed,
+            chipClass: option.optionIdentifier === selectedOptionId ? 'choice-chip selected' : 'choice-chip'
+        }))
+    };
+}
+
+/**
+ * Copy of the messages with one message's choice selection replaced
+ * @param {Array} messages - The host's messages
+ * @param {String} messageId - Local id of the message with the choices
+ * @param {String} optionId - The option picked, or null to enable the choices again
+ */
+function setChoiceSelection(messages, messageId, optionId) {
+    return messages.map((msg) => {
+        return msg.id === messageId ? { ...msg, ...buildChoiceState(msg.choicesData, optionId) } : msg;
+    });
+}
+
+export { parseChoices, buildChoiceState, setChoiceSelection };
@@ -0,0 +1,63 @@
+import { buildFeedbackState, setFeedbackState, buildFeedbackEvent } from 'c/agentforceFeedback';
+
+describe('c-agentforce-feedback', () => {
+    it('builds an unrated state by default', () => {
+        expect(buildFeedbackState()).toEqual({
+            feedbackRating: null,
+            thumbsUpClass: 'feedback-button',
+            thumbsDownClass: 'feedback-button',
+            thumbsUpPressed: 'false',
+            thumbsDownPressed: 'false',
+            showFeedbackComment: false,
+            feedbackCommentSent: false
+        });
+    });
+
+    it('selects the rated button and shows the comment box', () => {
+        const state = buildFeedbackState({
+            rating: 'negative',
+            commentStatus: 'open'
+        });
+        expect(state.thumbsDownClass).toBe('feedback-button selected');
+        expect(state.thumbsDownPressed).toBe('true');
+        expect(state.thumbsUpClass).toBe('feedback-button');
+        expect(state.showFeedbackComment).toBe(true);
+    });
+
+    it('updates only the rated message', () => {
+        const messages = [
+            { id: 'msg-1', text: 'a', ...buildFeedbackState() },
+            { id: 'msg-2', text: 'b', ...buildFeedbackState() }
+        ];
+        const updated = setFeedbackState(messages, 'msg-2', {
+            rating: 'positive',
+            commentStatus: 'sent'
+        });
+
+        expect(updated).not.toBe(messages);
+        expect(updated[0]).toBe(messages[0]);
+        expect(updated[1]).toMatchObject({
+            id: 'msg-2',
+            text: 'b',
+            feedbackRating: 'positive',
+            feedbackCommentSent: true
+        });
+    });
+
+    it('builds the MESSAGE_FEEDBACK payload', () => {
+        const messages = [{ id: 'msg-1' }, { id: 'msg-2', entryId: 'entry-2', isHumanAgent: true }];
+
+        expect(buildFeedbackEvent(messages[1], messages, 'negative', 'Too vague')).toEqual({
+            messageKey: 'entry-2',
+            messageIndex: 2,
+            rating: 'negative',
+            comment: 'Too vague',
+            isHumanAgent: true
+        });
+        expect(buildFeedbackEvent(messages[0], messages, 'positive')).toMatchObject({
+            messageKey: 'msg-1',
+            messageIndex: 1,
+            comment: null
+        });
+    });
+});
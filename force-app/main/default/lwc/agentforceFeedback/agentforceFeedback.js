@@ -0,0 +1,53 @@
+/**
+ * Thumbs up / down feedback on agent replies, shared by the Agentforce chat hosts
+ *
+ * Each host keeps the feedback state on its message objects (spread in by
+ * buildFeedbackState) and publishes buildFeedbackEvent as MESSAGE_FEEDBACK.
+ */
+
+/**
+ * Build the template state for a message's thumbs up / down controls
+ * @param {Object} state - { rating: null | 'positive' | 'negative', commentStatus: null | 'open' | 'sent' }
+ */
+function buildFeedbackState({ rating = null, commentStatus = null } = {}) {
+    return {
+        feedbackRating: rating,
+        thumbsUpClass: rating === 'positive' ? 'feedback-button selected' : 'feedback-button',
+        thumbsDownClass: rating === 'negative' ? 'feedback-button selected' : 'feedback-button',
+        thumbsUpPressed: String(rating === 'positive'),
+        thumbsDownPressed: String(rating === 'negative'),
+        showFeedbackComment: commentStatus === 'open',
+        feedbackCommentSent: commentStatus === 'sent'
+    };
+}
+
+/**
+ * Copy of the messages with one message's feedback state replaced
+ * @param {Array} messages - The host's messages
+ * @param {String} messageId - Local id of the rated message
+ * @param {Object} state - See buildFeedbackState
+ */
+function setFeedbackState(messages, messageId, state) {
+    return messages.map((msg) => {
+        return msg.id === messageId ? { ...msg, ...buildFeedbackState(state) } : msg;
+    });
+}
+
+/**
+ * MESSAGE_FEEDBACK payload for a rating or comment
+ * @param {Object} message - The rated message
+ * @param {Array} messages - The host's messages, for the 1-based message index
+ * @param {String} rating - 'positive' or 'negative'
+ * @param {String} comment - Optional comment
+ */
+function buildFeedbackEvent(message, messages, rating, comment = null) {
+    return {
+        messageKey: message.entryId || message.id,
+        messageIndex: messages.findIndex((msg) => msg.id === message.id) + 1,
+        rating: rating,
+        comment: comment,
+        isHumanAgent: message.isHumanAgent
+    };
+}
+
+export { buildFeedbackState, setFeedbackState, buildFeedbackEvent };
@@ -0,0 +1,202 @@
+import {
+    markdownToHtml,
+    sanitizeUrl,
+    escapeHtml,
+    renderHtml,
+    getClickedLink,
+    isExternalUrl
+} from 'c/agentforceMarkdown';
+
+describe('c-agentforce-markdown', () => {
+    describe('escapeHtml', () => {
+        it('escapes markup and quote characters', () => {
+            expect(escapeHtml(`<a href="x" title='y'>&</a>`)).toBe(
+                '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;'
+            );
+        });
+
+        it('stringifies non-string values', () => {
+            expect(escapeHtml(42)).toBe('42');
+        });
+    });
+
+    describe('sanitizeUrl', () => {
+        it.each([
+            'https://example.com/path?q=1',
+            'http://example.com',
+            'mailto:help@example.com',
+            'tel:+15555550100',
+            'HTTPS://EXAMPLE.COM'
+        ])('allows %s', (url) => {
+            expect(sanitizeUrl(url)).toBe(url);
+        });
+
+        it.each(['/s/article/reset', 'article/reset', '?page=2', '#section'])('allows relative URL %s', (url) => {
+            expect(sanitizeUrl(url)).toBe(url);
+        });
+
+        it.each([
+            // eslint-disable-next-line no-script-url
+            'javascript:alert(1)',
+            // eslint-disable-next-line no-script-url
+            'JavaScript:alert(1)',
+            'data:text/html;base64,PHNjcmlwdD4=',
+            'vbscript:msgbox(1)',
+            'file:///etc/passwd'
+        ])('rejects %s', (url) => {
+            expect(sanitizeUrl(url)).toBeNull();
+        });
+
+        it('strips whitespace and control characters before checking the scheme', () => {
+            expect(sanitizeUrl('java\tscript:alert(1)')).toBeNull();
+            expect(sanitizeUrl(' javascript:alert(1)')).toBeNull();
+            expect(sanitizeUrl('java\u0000script:alert(1)')).toBeNull();
+        });
+
+        it('rejects a colon before the first path separator', () => {
+            expect(sanitizeUrl('javascript&colon;alert(1):x')).toBeNull();
+            expect(sanitizeUrl('foo:bar/baz')).toBeNull();
+        });
+
+        it('returns null for empty input', () => {
+            expect(sanitizeUrl('')).toBeNull();
+            expect(sanitizeUrl(null)).toBeNull();
+            expect(sanitizeUrl(undefined)).toBeNull();
+        });
+    });
+
+    describe('markdownToHtml', () => {
+        it('returns an empty string for empty input', () => {
+            expect(markdownToHtml('')).toBe('');
+            expect(markdownToHtml(null)).toBe('');
+        });
+
+        it('escapes raw HTML in the source', () => {
+            const html = markdownToHtml('<script>alert("x")</script> <img src=x onerror=alert(1)>');
+            expect(html).not.toContain('<script');
+            expect(html).not.toContain('<img');
+            expect(html).toBe(
+                '<p>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &lt;img src=x onerror=alert(1)&gt;</p>'
+            );
+        });
+
+        it('escapes HTML inside code spans and fenced code', () => {
+            expect(markdownToHtml('`<b>`')).toBe('<p><code>&lt;b&gt;</code></p>');
+            expect(markdownToHtml('```html\n<b>bold</b>\n```')).toBe(
+                '<pre><code class="language-html">&lt;b&gt;bold&lt;/b&gt;</code></pre>'
+            );
+        });
+
+        it('renders links with an allowed scheme', () => {
+            expect(markdownToHtml('[Help](https://example.com "Help center")')).toBe(
+                '<p><a href="https://example.com" title="Help center" target="_blank" rel="noopener noreferrer">Help</a></p>'
+            );
+        });
+
+        it('renders links with a disallowed scheme as plain text', () => {
+            expect(markdownToHtml('[click](javascript:alert(1))')).toBe('<p>click</p>');
+            expect(markdownToHtml('[click](data:text/html,hi)')).toBe('<p>click</p>');
+        });
+
+        it('escapes quotes in link URLs and titles', () => {
+            const html = markdownToHtml('[x](https://example.com/"onmouseover="alert(1) "a\'b")');
+            expect(html).not.toContain('"onmouseover');
+        });
+
+        it('links autolinks and bare URLs', () => {
+            expect(markdownToHtml('<https://example.com>')).toBe(
+                '<p><a href="https://example.com" target="_blank" rel="noopener noreferrer">https://example.com</a></p>'
+            );
+            expect(markdownToHtml('See https://example.com/a.')).toBe(
+                '<p>See <a href="https://example.com/a" target="_blank" rel="noopener noreferrer">https://example.com/a</a>.</p>'
+            );
+        });
+
+        it('renders emphasis', () => {
+            expect(markdownToHtml('**bold** *italic* ~~gone~~ ***both***')).toBe(
+                '<p><strong>bold</strong> <em>italic</em> <del>gone</del> <strong><em>both</em></strong></p>'
+            );
+        });
+
+        it('leaves snake_case words alone', () => {
+            expect(markdownToHtml('use my_var_name here')).toBe('<p>use my_var_name here</p>');
+        });
+
+        it('honours backslash escapes', () => {
+            expect(markdownToHtml('\\*not italic\\*')).toBe('<p>*not italic*</p>');
+        });
+
+        it('renders headings, rules and blockquotes', () => {
+            expect(markdownToHtml('## Title')).toBe('<h2>Title</h2>');
+            expect(markdownToHtml('---')).toBe('<hr>');
+            expect(markdownToHtml('> quoted')).toBe('<blockquote><p>quoted</p></blockquote>');
+        });
+
+        it('renders nested lists', () => {
+            expect(markdownToHtml('- one\n  - nested\n- two')).toBe(
+                '<ul><li>one<ul><li>nested</li></ul></li><li>two</li></ul>'
+            );
+            expect(markdownToHtml('3. three\n4. four')).toBe('<ol start="3"><li>three</li><li>four</li></ol>');
+        });
+
+        it('renders tables with alignment', () => {
+            expect(markdownToHtml('| A | B |\n|:--|--:|\n| 1 | 2 |')).toBe(
+                '<table><thead><tr><th style="text-align: left">A</th><th style="text-align: right">B</th></tr></thead>' +
+                    '<tbody><tr><td style="text-align: left">1</td><td style="text-align: right">2</td></tr></tbody></table>'
+            );
+        });
+
+        it('keeps single newlines in a paragraph as line breaks', () => {
+            expect(markdownToHtml('line one\nline two\n\nnext')).toBe('<p>line one<br>line two</p><p>next</p>');
+        });
+
+        it('renders citation numbers as superscript text, not links', () => {
+            expect(markdownToHtml('Reset it here [1].')).toBe('<p>Reset it here <sup>[1]</sup>.</p>');
+        });
+    });
+
+    describe('renderHtml', () => {
+        it('fills the container and skips unchanged HTML', () => {
+            const container = document.createElement('div');
+            renderHtml(container, '<p>first</p>');
+            const paragraph = container.firstChild;
+
+            renderHtml(container, '<p>first</p>');
+            expect(container.firstChild).toBe(paragraph);
+
+            renderHtml(container, '<p>second</p>');
+            expect(container.firstChild).not.toBe(paragraph);
+            expect(container.textContent).toBe('second');
+        });
+    });
+
+    describe('getClickedLink', () => {
+        const bubble = document.createElement('div');
+        renderHtml(bubble, markdownToHtml('See [**the guide**](/s/guide) *now*'));
+
+        it('finds the link from a click on markup inside it', () => {
+            const link = bubble.querySelector('a');
+            expect(getClickedLink({ target: link.querySelector('strong'), currentTarget: bubble })).toBe(link);
+        });
+
+        it('returns null for clicks outside a link', () => {
+            expect(getClickedLink({ target: bubble.querySelector('em'), currentTarget: bubble })).toBeNull();
+        });
+
+        it('ignores links outside the listening element', () => {
+            const outside = document.createElement('a');
+            expect(getClickedLink({ target: outside, currentTarget: bubble })).toBeNull();
+        });
+    });
+
+    describe('isExternalUrl', () => {
+        it('treats relative and same-origin URLs as internal', () => {
+            expect(isExternalUrl('/s/guide')).toBe(false);
+            expect(isExternalUrl(`${window.location.origin}/s/guide`)).toBe(false);
+        });
+
+        it('treats other origins as external', () => {
+            expect(isExternalUrl('https://example.com/help')).toBe(true);
+        });
+    });
+});
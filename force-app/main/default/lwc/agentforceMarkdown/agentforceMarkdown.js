@@ -0,0 +1,440 @@
+/**
+ * Markdown renderer for agent replies, rendered into the chat hosts' own templates
+ *
+ * Covers paragraphs, headings, bullet and numbered lists (nested), fenced and indented
+ * code blocks, inline code, tables, blockquotes, horizontal rules, bold, italic,
+ * strikethrough, links, autolinks and citation numbers.
+ *
+ * Output is safe by construction: every character of the source text is HTML-escaped
+ * and the only tags emitted are the ones built here. Link URLs must use an allowed
+ * scheme - anything else (javascript:, data:, vbscript:...) is rendered as plain text.
+ */
+
+const ALLOWED_URL_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+// Marks a stashed inline fragment while the rest of the line is processed
+const PLACEHOLDER = '\u0000';
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)?.*$/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const HR_PATTERN = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const BLOCKQUOTE_PATTERN = /^ {0,3}>\s?(.*)$/;
+const LIST_ITEM_PATTERN = /^(\s*)([-*+•]|\d{1,9}[.)])\s+(.*)$/;
+const INDENTED_CODE_PATTERN = /^(?: {4}|\t)(.*)$/;
+const TABLE_DIVIDER_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * Escape text for use in HTML content or a double-quoted attribute
+ * @param {String} text - Raw text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Return the URL if its scheme is allowed, otherwise null
+ * Relative URLs (no scheme) are allowed. Whitespace and control characters are
+ * stripped before the scheme check so "java\tscript:" can't slip through.
+ * @param {String} url - URL from the markdown source
+ */
+function sanitizeUrl(url) {
+    // eslint-disable-next-line no-control-regex
+    const cleaned = String(url || '').replace(/[\u0000- \u007f]/g, '');
+    if (!cleaned) {
+        return null;
+    }
+    const scheme = cleaned.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (scheme) {
+        return ALLOWED_URL_SCHEMES.includes(scheme[1].toLowerCase()) ? cleaned : null;
+    }
+    // A colon before any path separator would be read as a scheme by the browser
+    const firstColon = cleaned.indexOf(':');
+    const firstSeparator = cleaned.search(/[/?#]/);
+    if (firstColon !== -1 && (firstSeparator === -1 || firstColon < firstSeparator)) {
+        return null;
+    }
+    return cleaned;
+}
+
+function buildLink(url, innerHtml, title) {
+    const href = sanitizeUrl(url);
+    if (!href) {
+        return innerHtml;
+    }
+    const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+    return `<a href="${escapeHtml(href)}"${titleAttr} target="_blank" rel="noopener noreferrer">${innerHtml}</a>`;
+}
+
+/**
+ * Render inline markdown within a single block of text
+ * Code spans, escapes and links are stashed first so their contents are not
+ * re-processed as emphasis, then the remaining text is escaped and formatted.
+ * @param {String} text - Inline source text
+ */
+function renderInline(text) {
+    if (!text) {
+        return '';
+    }
+    const stash = [];
+    const hold = (html) => {
+        stash.push(html);
+        return `${PLACEHOLDER}${stash.length - 1}${PLACEHOLDER}`;
+    };
+
+    let source = text.split(PLACEHOLDER).join('');
+
+    // `code` (any run of backticks, matched by an equal run)
+    source = source.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => {
+        const trimmed = /^ .* $/.test(code) ? code.slice(1, -1) : code;
+        return hold(`<code>${escapeHtml(trimmed)}</code>`);
+    });
+
+    // Backslash escapes: \* \_ \[ ...
+    source = source.replace(/\\([!-/:-@[-`{-~])/g, (match, char) => hold(escapeHtml(char)));
+
+    // <https://autolinks>
+    source = source.replace(/<((?:https?|mailto|tel):[^\s<>]+)>/gi, (match, url) =>
+        hold(buildLink(url, escapeHtml(url)))
+    );
+
+    // [text](url "title") - link text may carry emphasis but not another link
+    source = source.replace(
+        /\[([^\]]+)\]\(\s*<?([^\s()<>]*(?:\([^\s()<>]*\)[^\s()<>]*)*)>?(?:\s+"([^"]*)")?\s*\)/g,
+        (match, label, url, title) => hold(buildLink(url, renderEmphasis(escapeHtml(label)), title))
+    );
+
+    // Bare https:// URLs
+    source = source.replace(/\bhttps?:\/\/[^\s<>"]*[^\s<>".,;:!?)\]'*_]/gi, (url) =>
+        hold(buildLink(url, escapeHtml(url)))
+    );
+
+    let html = renderEmphasis(escapeHtml(source));
+
+    // Citation references like [1] - the host renders the sources themselves outside the message HTML
+    html = html.replace(/\[(\d+)\]/g, '<sup>[$1]</sup>');
+
+    // Stashed links can hold stashed code spans, so restore until none are left
+    const restore = new RegExp(`${PLACEHOLDER}(\\d+)${PLACEHOLDER}`, 'g');
+    while (html.includes(PLACEHOLDER)) {
+        html = html.replace(restore, (match, index) => stash[Number(index)]);
+    }
+    return html;
+}
+
+/**
+ * Bold, italic and strikethrough on already-escaped text
+ */
+function renderEmphasis(html) {
+    return html
+        .replace(/\*\*\*(?=\S)([^*]*?\S)\*\*\*/g, '<strong><em>$1</em></strong>')
+        .replace(/\*\*(?=\S)(.+?)(?<=\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^\w])__(?=\S)(.+?)(?<=\S)__(?!\w)/g, '$1<strong>$2</strong>')
+        .replace(/(?<!\*)\*(?=[^\s*])([^*]*?[^\s*])\*(?!\*)/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '<del>$1</del>');
+}
+
+function splitTableRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) {
+        row = row.slice(1);
+    }
+    if (row.endsWith('|') && !row.endsWith('\\|')) {
+        row = row.slice(0, -1);
+    }
+    // Split on pipes that are not escaped
+    return row.split(/(?<!\\)\|/).map((cell) => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function getTableAlignments(dividerLine) {
+    return splitTableRow(dividerLine).map((cell) => {
+        const left = cell.startsWith(':');
+        const right = cell.endsWith(':');
+        if (left && right) return 'center';
+        if (right) return 'right';
+        if (left) return 'left';
+        return null;
+    });
+}
+
+function renderTableRow(cells, tag, alignments, columnCount) {
+    let html = '<tr>';
+    for (let i = 0; i < columnCount; i++) {
+        const align = alignments[i] ? ` style="text-align: ${alignments[i]}"` : '';
+        html += `<${tag}${align}>${renderInline(cells[i] || '')}</${tag}>`;
+    }
+    return `${html}</tr>`;
+}
+
+function isTableStart(lines, index) {
+    return (
+        lines[index].includes('|') &&
+        index + 1 < lines.length &&
+        lines[index + 1].includes('-') &&
+        TABLE_DIVIDER_PATTERN.test(lines[index + 1])
+    );
+}
+
+/**
+ * Whether a line starts a block other than a paragraph (ends a running paragraph)
+ */
+function startsBlock(lines, index) {
+    const line = lines[index];
+    return (
+        FENCE_PATTERN.test(line) ||
+        HEADING_PATTERN.test(line) ||
+        HR_PATTERN.test(line) ||
+        BLOCKQUOTE_PATTERN.test(line) ||
+        LIST_ITEM_PATTERN.test(line) ||
+        isTableStart(lines, index)
+    );
+}
+
+function getIndent(whitespace) {
+    return whitespace.replace(/\t/g, '    ').length;
+}
+
+/**
+ * Render a run of list lines starting at `start`
+ * Nesting follows indentation: an item indented past its parent's marker opens a
+ * child list. Non-item lines indented under an item continue that item.
+ * @returns {{ html: String, next: Number }}
+ */
+function renderList(lines, start) {
+    const stack = []; // { tag, indent }
+    let html = '';
+    let index = start;
+    let itemOpen = false;
+
+    const closeTo = (depth) => {
+        while (stack.length > depth) {
+            const list = stack.pop();
+            html += `</li></${list.tag}>`;
+        }
+    };
+
+    while (index < lines.length) {
+        const line = lines[index];
+        const item = line.match(LIST_ITEM_PATTERN);
+
+        if (!item) {
+            if (!line.trim()) {
+                // A blank line only continues the list if the next line is another item
+                const nextLine = lines[index + 1];
+                if (nextLine !== undefined && LIST_ITEM_PATTERN.test(nextLine)) {
+                    index++;
+                    continue;
+                }
+                break;
+            }
+            if (itemOpen && /^\s+/.test(line) && !startsBlock(lines, index)) {
+                html += `<br>${renderInline(line.trim())}`;
+                index++;
+                continue;
+            }
+            break;
+        }
+
+        const indent = getIndent(item[1]);
+        const tag = /^\d/.test(item[2]) ? 'ol' : 'ul';
+        const number = parseInt(item[2], 10);
+        const open = tag === 'ol' && number !== 1 ? `<ol start="${number}">` : `<${tag}>`;
+
+        // Step out of deeper lists
+        while (stack.length > 0 && indent < stack[stack.length - 1].indent) {
+            closeTo(stack.length - 1);
+        }
+
+        const current = stack[stack.length - 1];
+        if (!current || indent > current.indent) {
+            html += open;
+            stack.push({ tag, indent });
+        } else if (current.tag !== tag) {
+            // Same depth but a different marker type starts a new list
+            closeTo(stack.length - 1);
+            html += open;
+            stack.push({ tag, indent });
+        } else {
+            html += '</li>';
+        }
+
+        html += `<li>${renderInline(item[3])}`;
+        itemOpen = true;
+        index++;
+    }
+
+    closeTo(0);
+    return { html, next: index };
+}
+
+/**
+ * Render block-level markdown
+ * @param {Array<String>} lines - Source lines
+ */
+function renderBlocks(lines) {
+    let html = '';
+    let index = 0;
+
+    while (index < lines.length) {
+        const line = lines[index];
+
+        if (!line.trim()) {
+            index++;
+            continue;
+        }
+
+        // ``` fenced code ```
+        const fence = line.match(FENCE_PATTERN);
+        if (fence) {
+            const marker = fence[1];
+            const language = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+            const code = [];
+            index++;
+            while (index < lines.length && !lines[index].trim().startsWith(marker)) {
+                code.push(lines[index]);
+                index++;
+            }
+            index++; // Skip the closing fence (or run off the end of an unclosed one)
+            html += `<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`;
+            continue;
+        }
+
+        // Indented code block
+        if (INDENTED_CODE_PATTERN.test(line) && !LIST_ITEM_PATTERN.test(line)) {
+            const code = [];
+            while (index < lines.length && (INDENTED_CODE_PATTERN.test(lines[index]) || !lines[index].trim())) {
+                code.push(lines[index].replace(INDENTED_CODE_PATTERN, '$1'));
+                index++;
+            }
+            while (code.length && !code[code.length - 1].trim()) {
+                code.pop();
+            }
+            html += `<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`;
+            continue;
+        }
+
+        const heading = line.match(HEADING_PATTERN);
+        if (heading) {
+            const level = heading[1].length;
+            html += `<h${level}>${renderInline(heading[2] || '')}</h${level}>`;
+            index++;
+            continue;
+        }
+
+        // Checked before lists so "* * *" and "---" are rules, not items
+        if (HR_PATTERN.test(line)) {
+            html += '<hr>';
+            index++;
+            continue;
+        }
+
+        if (BLOCKQUOTE_PATTERN.test(line)) {
+            const quoted = [];
+            while (index < lines.length && lines[index].trim()) {
+                const quoteLine = lines[index].match(BLOCKQUOTE_PATTERN);
+                // Lazy continuation: an unmarked line carries on the quoted paragraph
+                if (!quoteLine && startsBlock(lines, index)) {
+                    break;
+                }
+                quoted.push(quoteLine ? quoteLine[1] : lines[index]);
+                index++;
+            }
+            html += `<blockquote>${renderBlocks(quoted)}</blockquote>`;
+            continue;
+        }
+
+        if (LIST_ITEM_PATTERN.test(line)) {
+            const list = renderList(lines, index);
+            html += list.html;
+            index = list.next;
+            continue;
+        }
+
+        if (isTableStart(lines, index)) {
+            const header = splitTableRow(line);
+            const alignments = getTableAlignments(lines[index + 1]);
+            const columnCount = header.length;
+            index += 2;
+            html += `<table><thead>${renderTableRow(header, 'th', alignments, columnCount)}</thead>`;
+            let body = '';
+            while (index < lines.length && lines[index].trim() && lines[index].includes('|')) {
+                body += renderTableRow(splitTableRow(lines[index]), 'td', alignments, columnCount);
+                index++;
+            }
+            html += body ? `<tbody>${body}</tbody></table>` : '</table>';
+            continue;
+        }
+
+        // Paragraph - single newlines inside it are kept as line breaks, as in chat
+        const paragraph = [line.trim()];
+        index++;
+        while (index < lines.length && lines[index].trim() && !startsBlock(lines, index)) {
+            paragraph.push(lines[index].trim());
+            index++;
+        }
+        html += `<p>${paragraph.map((part) => renderInline(part)).join('<br>')}</p>`;
+    }
+
+    return html;
+}
+
+/**
+ * Convert markdown text to sanitized HTML for renderHtml
+ * @param {String} text - Markdown source
+ */
+function markdownToHtml(text) {
+    if (!text) {
+        return '';
+    }
+    return renderBlocks(String(text).replace(/\r\n?/g, '\n').split('\n'));
+}
+
+// The HTML each lwc:dom="manual" container was last filled with
+const renderedHtml = new WeakMap();
+
+/**
+ * Fill an lwc:dom="manual" container with message HTML from markdownToHtml
+ * The links then belong to the host's own template, so a click on one reaches the host
+ * with the link as its target under native and synthetic shadow alike. A container that
+ * already shows this HTML is left alone, so re-renders don't reset text selection.
+ * @param {Element} container - Element with lwc:dom="manual"
+ * @param {String} html - Output of markdownToHtml
+ */
+function renderHtml(container, html) {
+    if (renderedHtml.get(container) === html) {
+        return;
+    }
+    // Safe by construction - markdownToHtml escapes every character of its source
+    // eslint-disable-next-line @lwc/lwc/no-inner-html
+    container.innerHTML = html;
+    renderedHtml.set(container, html);
+}
+
+/**
+ * Find the <a> a click inside rendered message HTML came from
+ * @param {Event} event - Click event from a listener on the element holding the HTML
+ * @returns {Element} The link, or null if the click wasn't on one
+ */
+function getClickedLink(event) {
+    const link = event.target?.closest?.('a');
+    return link && event.currentTarget.contains(link) ? link : null;
+}
+
+/**
+ * Whether a URL points away from the current site
+ * @param {String} url - Absolute or relative URL
+ */
+function isExternalUrl(url) {
+    try {
+        return new URL(url, window.location.href).origin !== window.location.origin;
+    } catch {
+        return false;
+    }
+}
+
+export { markdownToHtml, sanitizeUrl, escapeHtml, renderHtml, getClickedLink, isExternalUrl };
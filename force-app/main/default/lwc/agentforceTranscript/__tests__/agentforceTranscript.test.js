@@ -0,0 +1,266 @@
+import {
+    TRANSCRIPT_FORMATS,
+    buildTranscript,
+    downloadTranscript,
+    printTranscript,
+    getTranscriptFileName,
+    htmlToText,
+    htmlToMarkdown
+} from 'c/agentforceTranscript';
+
+const AGENT_HTML =
+    '<p>Try <strong>these</strong> steps:</p><ol><li>Open <a href="https://example.com/help">Help</a></li><li>Run <code>reset</code></li></ol>';
+
+const MESSAGES = [
+    {
+        isUser: true,
+        isHtml: false,
+        text: 'How do I reset <my> password?',
+        senderName: 'You',
+        time: '10:00',
+        timestamp: Date.UTC(2024, 11, 4, 10, 0)
+    },
+    {
+        isAgent: true,
+        isHtml: true,
+        text: AGENT_HTML,
+        senderName: 'Agentforce',
+        time: '10:01',
+        timestamp: Date.UTC(2024, 11, 4, 10, 1)
+    },
+    {
+        isSystem: true,
+        text: 'Alex joined the conversation',
+        time: '10:02'
+    },
+    {
+        isAgent: true,
+        isHumanAgent: true,
+        isHtml: false,
+        text: 'Here is the form',
+        senderName: 'Alex',
+        time: '10:03',
+        attachments: [
+            {
+                name: 'form.pdf',
+                mimeType: 'application/pdf',
+                url: 'https://example.com/form.pdf'
+            },
+            // eslint-disable-next-line no-script-url
+            { name: 'evil.txt', mimeType: 'text/plain', url: 'javascript:alert(1)' }
+        ]
+    }
+];
+
+const OPTIONS = {
+    title: 'Support',
+    sessionId: 'session-123',
+    messages: MESSAGES
+};
+
+describe('c-agentforce-transcript', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('htmlToText', () => {
+        it('drops formatting and keeps link targets', () => {
+            expect(htmlToText(AGENT_HTML)).toBe(
+                'Try these steps:\n\n1. Open Help (https://example.com/help)\n2. Run reset'
+            );
+        });
+
+        it('writes a bare link once', () => {
+            expect(htmlToText('<a href="https://example.com">https://example.com</a>')).toBe('https://example.com');
+        });
+
+        it('keeps line breaks, code blocks and tables', () => {
+            expect(htmlToText('<p>one<br>two</p><pre><code>a\nb</code></pre>')).toBe('one\ntwo\n\na\nb');
+            expect(htmlToText('<table><tr><th>A</th><th>B</th></tr><tr><td>1</td><td>2</td></tr></table>')).toBe(
+                'A | B\n1 | 2'
+            );
+        });
+
+        it('returns an empty string for empty input', () => {
+            expect(htmlToText('')).toBe('');
+            expect(htmlToText(null)).toBe('');
+        });
+    });
+
+    describe('htmlToMarkdown', () => {
+        it('converts formatting back to Markdown', () => {
+            expect(htmlToMarkdown(AGENT_HTML)).toBe(
+                'Try **these** steps:\n\n1. Open [Help](https://example.com/help)\n2. Run `reset`'
+            );
+        });
+
+        it('converts headings, emphasis, quotes and rules', () => {
+            expect(
+                htmlToMarkdown('<h2>Title</h2><p><em>a</em> <del>b</del></p><blockquote><p>quoted</p></blockquote><hr>')
+            ).toBe('## Title\n\n_a_ ~~b~~\n\n> quoted\n\n---');
+        });
+
+        it('indents nested lists', () => {
+            expect(htmlToMarkdown('<ul><li>one<ul><li>nested</li></ul></li><li>two</li></ul>')).toBe(
+                '- one\n  - nested\n- two'
+            );
+        });
+
+        it('writes tables with a divider row and escaped pipes', () => {
+            expect(htmlToMarkdown('<table><tr><th>A</th><th>B</th></tr><tr><td>1|2</td><td>3</td></tr></table>')).toBe(
+                '| A | B |\n| --- | --- |\n| 1\\|2 | 3 |'
+            );
+        });
+
+        it('keeps citation numbers as text', () => {
+            expect(htmlToMarkdown('<p>See this <sup>[1]</sup></p>')).toBe('See this [1]');
+        });
+    });
+
+    describe('buildTranscript', () => {
+        it('builds plain text', () => {
+            const text = buildTranscript('text', OPTIONS);
+            expect(text).toContain('[10:00] You:\nHow do I reset <my> password?');
+            expect(text).toContain('[10:01] Agentforce:\nTry these steps:');
+            expect(text).toContain('[10:02] -- Alex joined the conversation --');
+            expect(text).toContain('[10:03] Alex:\nHere is the form');
+            expect(text).not.toContain('<strong>');
+        });
+
+        it('builds Markdown', () => {
+            const markdown = buildTranscript('markdown', OPTIONS);
+            expect(markdown).toMatch(/^# /);
+            expect(markdown).toContain('**You** · 10:00\n\nHow do I reset <my> password?');
+            expect(markdown).toContain('1. Open [Help](https://example.com/help)');
+            expect(markdown).toContain('_10:02 - Alex joined the conversation_');
+        });
+
+        it('builds JSON with a role per message', () => {
+            const json = JSON.parse(buildTranscript('json', OPTIONS));
+            expect(json.title).toBe('Support');
+            expect(json.sessionId).toBe('session-123');
+            expect(json.messageCount).toBe(4);
+            expect(json.messages.map((msg) => msg.role)).toEqual(['user', 'chatbot', 'system', 'agent']);
+            expect(json.messages[0].timestamp).toBe('2024-12-04T10:00:00.000Z');
+            expect(json.messages[1].text).toBe(htmlToText(AGENT_HTML));
+            expect(json.messages[2].sender).toBeNull();
+            expect(json.messages[3].attachments).toEqual([
+                { name: 'form.pdf', mimeType: 'application/pdf' },
+                { name: 'evil.txt', mimeType: 'text/plain' }
+            ]);
+        });
+
+        it('builds an HTML page that escapes user text', () => {
+            const html = buildTranscript('html', OPTIONS);
+            expect(html).toMatch(/^<!DOCTYPE html>/);
+            expect(html).toContain('How do I reset &lt;my&gt; password?');
+            expect(html).not.toContain('<my>');
+            // Agent replies were sanitized when they were rendered and are kept as markup
+            expect(html).toContain(AGENT_HTML);
+        });
+
+        it('only links attachments with an allowed URL', () => {
+            const html = buildTranscript('html', OPTIONS);
+            expect(html).toContain(
+                '<a href="https://example.com/form.pdf" target="_blank" rel="noopener noreferrer">form.pdf</a>'
+            );
+            expect(html).toContain('<li>evil.txt</li>');
+            // eslint-disable-next-line no-script-url
+            expect(html).not.toContain('javascript:');
+        });
+
+        it('ignores colours that are not plain values', () => {
+            const html = buildTranscript('html', {
+                ...OPTIONS,
+                colors: { accent: 'red;} body { display: none', userBubble: '#123456' }
+            });
+            expect(html).not.toContain('display: none');
+            expect(html).toContain('color: #0176d3');
+            expect(html).toContain('background-color: #123456');
+        });
+
+        it('handles a transcript without messages', () => {
+            for (const format of Object.keys(TRANSCRIPT_FORMATS)) {
+                expect(() => buildTranscript(format, { sessionId: 'session-123' })).not.toThrow();
+            }
+        });
+
+        it('throws for an unknown format', () => {
+            expect(() => buildTranscript('pdf', OPTIONS)).toThrow('Unknown transcript format: pdf');
+        });
+    });
+
+    describe('getTranscriptFileName', () => {
+        it('uses the session id, date and extension', () => {
+            expect(getTranscriptFileName('session-123', 'md')).toMatch(
+                /^chat-transcript-session-123-\d{4}-\d{2}-\d{2}\.md$/
+            );
+        });
+
+        it('replaces unsafe characters in the session id', () => {
+            expect(getTranscriptFileName('../a b', 'txt')).toMatch(/^chat-transcript-___a_b-/);
+            expect(getTranscriptFileName(null, 'txt')).toMatch(/^chat-transcript-session-/);
+        });
+    });
+
+    describe('downloadTranscript', () => {
+        beforeEach(() => {
+            URL.createObjectURL = jest.fn(() => 'blob:transcript');
+            URL.revokeObjectURL = jest.fn();
+        });
+
+        it('saves the file with the format extension and MIME type', () => {
+            const clickSpy = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+                expect(this.download).toMatch(/\.md$/);
+                expect(this.href).toBe('blob:transcript');
+            });
+
+            downloadTranscript('markdown', OPTIONS);
+
+            expect(clickSpy).toHaveBeenCalledTimes(1);
+            expect(URL.createObjectURL.mock.calls[0][0].type).toBe('text/markdown;charset=utf-8');
+            expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:transcript');
+        });
+
+        it('falls back to plain text for an unknown format', () => {
+            jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+                expect(this.download).toMatch(/\.txt$/);
+            });
+
+            downloadTranscript('pdf', OPTIONS);
+
+            expect(URL.createObjectURL.mock.calls[0][0].type).toBe('text/plain;charset=utf-8');
+        });
+    });
+
+    describe('printTranscript', () => {
+        beforeEach(() => {
+            URL.createObjectURL = jest.fn(() => 'blob:transcript');
+            URL.revokeObjectURL = jest.fn();
+        });
+
+        it('returns false when the window is blocked', () => {
+            jest.spyOn(window, 'open').mockReturnValue(null);
+
+            expect(printTranscript(OPTIONS)).toBe(false);
+            expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:transcript');
+        });
+
+        it('prints once the window has loaded', () => {
+            const printWindow = {
+                addEventListener: jest.fn(),
+                focus: jest.fn(),
+                print: jest.fn()
+            };
+            jest.spyOn(window, 'open').mockReturnValue(printWindow);
+
+            expect(printTranscript(OPTIONS)).toBe(true);
+            expect(window.open).toHaveBeenCalledWith('blob:transcript', '_blank');
+
+            const [eventName, onLoad] = printWindow.addEventListener.mock.calls[0];
+            expect(eventName).toBe('load');
+            onLoad();
+            expect(printWindow.print).toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,454 @@
+/**
+ * Transcript export for the Agentforce chat hosts
+ *
+ * Builds a chat transcript as plain text, a styled HTML page, Markdown or JSON, and
+ * opens a printer-friendly view for "Save as PDF". Agent replies are stored as HTML
+ * (see c/agentforceMarkdown), so the text and Markdown formats walk the parsed markup
+ * instead of writing the tags out.
+ */
+import LOCALE from '@salesforce/i18n/locale';
+import LANG from '@salesforce/i18n/lang';
+import { LABELS, formatLabel } from 'c/agentforceChatLabels';
+import { escapeHtml, sanitizeUrl } from 'c/agentforceMarkdown';
+
+const TRANSCRIPT_FORMATS = {
+    text: { extension: 'txt', mimeType: 'text/plain' },
+    html: { extension: 'html', mimeType: 'text/html' },
+    markdown: { extension: 'md', mimeType: 'text/markdown' },
+    json: { extension: 'json', mimeType: 'application/json' }
+};
+
+const DIVIDER = '='.repeat(50);
+
+// Only plain colour values are written into the exported page's styles
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|rgba?\([\d\s.,%]+\)|[a-z]+)$/i;
+
+const DEFAULT_COLORS = {
+    accent: '#0176d3',
+    agentBubble: '#f3f3f3',
+    userBubble: '#0176d3',
+    userText: '#ffffff'
+};
+
+/**
+ * Role written to the JSON export
+ * @param {Object} msg - Host message
+ */
+function getRole(msg) {
+    if (msg.isSystem) {
+        return 'system';
+    }
+    if (msg.isUser) {
+        return 'user';
+    }
+    return msg.isHumanAgent ? 'agent' : 'chatbot';
+}
+
+// ==================== HTML TO TEXT / MARKDOWN ====================
+
+function block(content) {
+    const trimmed = content.trim();
+    return trimmed ? `\n\n${trimmed}\n\n` : '';
+}
+
+function wrapInline(content, marker) {
+    const trimmed = content.trim();
+    return trimmed ? `${marker}${trimmed}${marker}` : '';
+}
+
+function convertChildren(node, isMarkdown, depth) {
+    return Array.from(node.childNodes).map((child) => convertNode(child, isMarkdown, depth)).join('');
+}
+
+function convertList(node, isMarkdown, depth) {
+    const isOrdered = node.tagName.toLowerCase() === 'ol';
+    let number = parseInt(node.getAttribute('start'), 10) || 1;
+    const indent = '  '.repeat(depth);
+    const items = Array.from(node.children)
+        .filter((child) => child.tagName.toLowerCase() === 'li')
+        .map((item) => {
+            const marker = isOrdered ? `${number++}.` : '-';
+            const content = convertChildren(item, isMarkdown, depth + 1).trim().replace(/\n{2,}/g, '\n');
+            return `${indent}${marker} ${content}`;
+        });
+    // Not block() - trimming would drop a nested list's indent
+    return items.length ? `\n\n${items.join('\n')}\n\n` : '';
+}
+
+function convertTable(node, isMarkdown) {
+    const rows = Array.from(node.querySelectorAll('tr')).map((row) =>
+        Array.from(row.children).map((cell) => convertChildren(cell, isMarkdown, 0).trim().replace(/\|/g, '\\|'))
+    );
+    if (rows.length === 0) {
+        return '';
+    }
+    if (!isMarkdown) {
+        return block(rows.map((cells) => cells.join(' | ')).join('\n'));
+    }
+    const lines = rows.map((cells) => `| ${cells.join(' | ')} |`);
+    lines.splice(1, 0, `| ${rows[0].map(() => '---').join(' | ')} |`);
+    return block(lines.join('\n'));
+}
+
+function convertLink(node, isMarkdown, depth) {
+    const text = convertChildren(node, isMarkdown, depth);
+    const href = node.getAttribute('href') || '';
+    if (!href) {
+        return text;
+    }
+    if (isMarkdown) {
+        return `[${text || href}](${href})`;
+    }
+    return text && text !== href ? `${text} (${href})` : href;
+}
+
+function convertNode(node, isMarkdown, depth) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        return node.textContent.replace(/\s+/g, ' ');
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+        return '';
+    }
+
+    const tag = node.tagName.toLowerCase();
+    switch (tag) {
+        case 'br':
+            return '\n';
+        case 'p':
+        case 'div':
+            return block(convertChildren(node, isMarkdown, depth));
+        case 'h1':
+        case 'h2':
+        case 'h3':
+        case 'h4':
+        case 'h5':
+        case 'h6': {
+            const prefix = isMarkdown ? `${'#'.repeat(Number(tag[1]))} ` : '';
+            return block(prefix + convertChildren(node, isMarkdown, depth).trim());
+        }
+        case 'strong':
+        case 'b':
+            return isMarkdown ? wrapInline(convertChildren(node, isMarkdown, depth), '**') : convertChildren(node, isMarkdown, depth);
+        case 'em':
+        case 'i':
+            return isMarkdown ? wrapInline(convertChildren(node, isMarkdown, depth), '_') : convertChildren(node, isMarkdown, depth);
+        case 'del':
+        case 's':
+            return isMarkdown ? wrapInline(convertChildren(node, isMarkdown, depth), '~~') : convertChildren(node, isMarkdown, depth);
+        case 'code':
+            return isMarkdown ? `\`${node.textContent}\`` : node.textContent;
+        case 'pre': {
+            const code = node.textContent.replace(/\n$/, '');
+            return block(isMarkdown ? `\`\`\`\n${code}\n\`\`\`` : code);
+        }
+        case 'blockquote': {
+            const quoted = convertChildren(node, isMarkdown, depth).trim().replace(/\n{3,}/g, '\n\n');
+            return block(quoted.split('\n').map((line) => (line ? `> ${line}` : '>')).join('\n'));
+        }
+        case 'hr':
+            return block(isMarkdown ? '---' : '-'.repeat(20));
+        case 'ul':
+        case 'ol':
+            return convertList(node, isMarkdown, depth);
+        case 'table':
+            return convertTable(node, isMarkdown);
+        case 'a':
+            return convertLink(node, isMarkdown, depth);
+        default:
+            return convertChildren(node, isMarkdown, depth);
+    }
+}
+
+/**
+ * Convert rendered message HTML to plain text or Markdown
+ * @param {String} html - Message HTML
+ * @param {Boolean} isMarkdown - Keep formatting as Markdown instead of dropping it
+ */
+function convertHtml(html, isMarkdown) {
+    const doc = new DOMParser().parseFromString(html || '', 'text/html');
+    return convertChildren(doc.body, isMarkdown, 0)
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+function htmlToText(html) {
+    return convertHtml(html, false);
+}
+
+function htmlToMarkdown(html) {
+    return convertHtml(html, true);
+}
+
+// ==================== FORMATS ====================
+
+/**
+ * Message body with attachments listed underneath
+ * @param {Object} msg - Host message
+ * @param {Boolean} isMarkdown - Markdown instead of plain text
+ */
+function getMessageBody(msg, isMarkdown) {
+    let body;
+    if (msg.isHtml) {
+        body = isMarkdown ? htmlToMarkdown(msg.text) : htmlToText(msg.text);
+    } else {
+        body = msg.text || '';
+    }
+    const attachmentLines = (msg.attachments || []).map((attachment) =>
+        formatLabel(LABELS.transcriptAttachment, attachment.name)
+    );
+    return [body, ...attachmentLines].filter((part) => part).join('\n');
+}
+
+function buildText(transcript) {
+    let output = `${formatLabel(LABELS.transcriptTitle, transcript.title)}\n`;
+    output += `${formatLabel(LABELS.transcriptSessionId, transcript.sessionId)}\n`;
+    output += `${formatLabel(LABELS.transcriptDate, transcript.date)}\n`;
+    output += `${DIVIDER}\n\n`;
+
+    for (const msg of transcript.messages) {
+        if (msg.isSystem) {
+            output += `[${msg.time}] -- ${msg.text} --\n\n`;
+            continue;
+        }
+        output += `[${msg.time}] ${msg.senderName}:\n`;
+        output += `${getMessageBody(msg, false)}\n\n`;
+    }
+
+    output += `${DIVIDER}\n`;
+    output += formatLabel(LABELS.transcriptEnd, transcript.messages.length);
+    return output;
+}
+
+function buildMarkdown(transcript) {
+    let output = `# ${formatLabel(LABELS.transcriptTitle, transcript.title)}\n\n`;
+    output += `- ${formatLabel(LABELS.transcriptSessionId, `\`${transcript.sessionId}\``)}\n`;
+    output += `- ${formatLabel(LABELS.transcriptDate, transcript.date)}\n\n`;
+    output += '---\n\n';
+
+    for (const msg of transcript.messages) {
+        if (msg.isSystem) {
+            output += `_${msg.time} - ${msg.text}_\n\n`;
+            continue;
+        }
+        output += `**${msg.senderName}** · ${msg.time}\n\n`;
+        output += `${getMessageBody(msg, true)}\n\n`;
+    }
+
+    output += '---\n\n';
+    output += `_${formatLabel(LABELS.transcriptEnd, transcript.messages.length)}_\n`;
+    return output;
+}
+
+function buildJson(transcript) {
+    return JSON.stringify({
+        title: transcript.title,
+        sessionId: transcript.sessionId,
+        exportedAt: new Date(transcript.exportedAt).toISOString(),
+        locale: LOCALE,
+        messageCount: transcript.messages.length,
+        messages: transcript.messages.map((msg, index) => ({
+            index: index + 1,
+            role: getRole(msg),
+            sender: msg.isSystem ? null : msg.senderName,
+            timestamp: msg.timestamp ? new Date(msg.timestamp).toISOString() : null,
+            time: msg.time,
+            text: msg.isHtml ? htmlToText(msg.text) : (msg.text || ''),
+            attachments: (msg.attachments || []).map((attachment) => ({
+                name: attachment.name,
+                mimeType: attachment.mimeType || null
+            }))
+        }))
+    }, null, 2);
+}
+
+function getColor(value, fallback) {
+    return value && COLOR_PATTERN.test(String(value).trim()) ? String(value).trim() : fallback;
+}
+
+function buildHtmlMessage(msg, colors) {
+    if (msg.isSystem) {
+        return `<p class="system">${escapeHtml(msg.time)} · ${escapeHtml(msg.text)}</p>`;
+    }
+
+    // Agent replies were sanitized when they were rendered; everything else is escaped here
+    const body = msg.isHtml
+        ? msg.text
+        : escapeHtml(msg.text || '').replace(/\n/g, '<br>');
+    const attachments = (msg.attachments || []).map((attachment) => {
+        const href = sanitizeUrl(attachment.url);
+        const name = escapeHtml(attachment.name);
+        return href
+            ? `<li><a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${name}</a></li>`
+            : `<li>${name}</li>`;
+    });
+    const bubbleStyle = msg.isUser
+        ? `background-color: ${colors.userBubble}; color: ${colors.userText};`
+        : `background-color: ${colors.agentBubble};`;
+    const timestamp = msg.timestamp ? ` datetime="${new Date(msg.timestamp).toISOString()}"` : '';
+
+    return `<article class="message ${msg.isUser ? 'user' : 'agent'}">
+    <div class="meta"><span class="sender">${escapeHtml(msg.senderName)}</span> <time${timestamp}>${escapeHtml(msg.time)}</time></div>
+    <div class="bubble" style="${bubbleStyle}">${body}${attachments.length ? `<ul class="attachments">${attachments.join('')}</ul>` : ''}</div>
+</article>`;
+}
+
+function buildHtml(transcript) {
+    const colors = {};
+    for (const key of Object.keys(DEFAULT_COLORS)) {
+        colors[key] = getColor(transcript.colors && transcript.colors[key], DEFAULT_COLORS[key]);
+    }
+    const title = escapeHtml(formatLabel(LABELS.transcriptTitle, transcript.title));
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(LANG || 'en')}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+<style>
+body { margin: 0; padding: 2rem 1rem; background: #fafaf9; color: #181818; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; font-size: 14px; line-height: 1.5; }
+.transcript { max-width: 720px; margin: 0 auto; }
+header { border-bottom: 3px solid ${colors.accent}; margin-bottom: 1.5rem; padding-bottom: 0.75rem; }
+h1 { margin: 0 0 0.25rem; font-size: 1.375rem; color: ${colors.accent}; }
+header p, footer { margin: 0; color: #706e6b; font-size: 0.8125rem; }
+.message { display: flex; flex-direction: column; margin-bottom: 1rem; break-inside: avoid; }
+.message.user { align-items: flex-end; }
+.message.agent { align-items: flex-start; }
+.meta { margin-bottom: 0.25rem; color: #706e6b; font-size: 0.75rem; }
+.sender { font-weight: 600; color: #444; }
+.bubble { max-width: 80%; padding: 0.625rem 0.875rem; border-radius: 12px; overflow-wrap: anywhere; }
+.bubble p { margin: 0 0 0.5rem; }
+.bubble p:last-child { margin-bottom: 0; }
+.bubble ul, .bubble ol { margin: 0.25rem 0; padding-left: 1.25rem; }
+.bubble pre { overflow-x: auto; padding: 0.5rem; background: rgba(0, 0, 0, 0.05); border-radius: 6px; }
+.bubble table { border-collapse: collapse; }
+.bubble th, .bubble td { padding: 0.25rem 0.5rem; border: 1px solid #c9c9c9; }
+.bubble blockquote { margin: 0.25rem 0; padding-left: 0.75rem; border-left: 3px solid #c9c9c9; }
+.message.user .bubble a { color: inherit; }
+.attachments { margin: 0.5rem 0 0; padding-left: 1.25rem; font-size: 0.8125rem; }
+.system { margin: 1rem 0; color: #706e6b; font-size: 0.75rem; text-align: center; }
+footer { margin-top: 1.5rem; padding-top: 0.75rem; border-top: 1px solid #e5e5e5; text-align: center; }
+@media print {
+    body { padding: 0; background: #fff; }
+    .bubble { border: 1px solid #e5e5e5; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    a { color: inherit; }
+}
+</style>
+</head>
+<body>
+<div class="transcript">
+<header>
+    <h1>${title}</h1>
+    <p>${escapeHtml(formatLabel(LABELS.transcriptSessionId, transcript.sessionId))}</p>
+    <p>${escapeHtml(formatLabel(LABELS.transcriptDate, transcript.date))}</p>
+</header>
+<main>
+${transcript.messages.map((msg) => buildHtmlMessage(msg, colors)).join('\n')}
+</main>
+<footer>${escapeHtml(formatLabel(LABELS.transcriptEnd, transcript.messages.length))}</footer>
+</div>
+</body>
+</html>
+`;
+}
+
+const BUILDERS = {
+    text: buildText,
+    html: buildHtml,
+    markdown: buildMarkdown,
+    json: buildJson
+};
+
+// ==================== EXPORT ====================
+
+/**
+ * Normalize the host's transcript details
+ * @param {Object} options - { title, sessionId, messages, colors }
+ */
+function prepareTranscript({ title, sessionId, messages, colors }) {
+    const exportedAt = Date.now();
+    return {
+        title: title || '',
+        sessionId: sessionId || '',
+        messages: messages || [],
+        colors: colors || {},
+        exportedAt: exportedAt,
+        date: new Date(exportedAt).toLocaleDateString(LOCALE)
+    };
+}
+
+/**
+ * File name for an exported transcript, e.g. chat-transcript-session-123-2024-12-04.md
+ * @param {String} sessionId - Session the transcript belongs to
+ * @param {String} extension - File extension without the dot
+ */
+function getTranscriptFileName(sessionId, extension) {
+    const safeSessionId = String(sessionId || 'session').replace(/[^a-zA-Z0-9_-]/g, '_');
+    return `chat-transcript-${safeSessionId}-${new Date().toISOString().split('T')[0]}.${extension}`;
+}
+
+/**
+ * Build transcript content in one of TRANSCRIPT_FORMATS
+ * @param {String} format - 'text', 'html', 'markdown' or 'json'
+ * @param {Object} options - { title, sessionId, messages, colors }
+ * @returns {String} File content
+ */
+function buildTranscript(format, options) {
+    const builder = BUILDERS[format];
+    if (!builder) {
+        throw new Error(`Unknown transcript format: ${format}`);
+    }
+    return builder(prepareTranscript(options));
+}
+
+/**
+ * Build a transcript and save it as a file
+ * @param {String} format - 'text', 'html', 'markdown' or 'json'
+ * @param {Object} options - { title, sessionId, messages, colors }
+ */
+function downloadTranscript(format, options) {
+    const { extension, mimeType } = TRANSCRIPT_FORMATS[format] || TRANSCRIPT_FORMATS.text;
+    const content = buildTranscript(TRANSCRIPT_FORMATS[format] ? format : 'text', options);
+
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = getTranscriptFileName(options.sessionId, extension);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Open the HTML transcript in a new window and bring up the print dialog ("Save as PDF")
+ * @param {Object} options - { title, sessionId, messages, colors }
+ * @returns {Boolean} false when the window was blocked
+ */
+function printTranscript(options) {
+    const blob = new Blob([buildTranscript('html', options)], { type: 'text/html;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const printWindow = window.open(url, '_blank');
+    if (!printWindow) {
+        URL.revokeObjectURL(url);
+        return false;
+    }
+    printWindow.addEventListener('load', () => {
+        printWindow.focus();
+        printWindow.print();
+        URL.revokeObjectURL(url);
+    });
+    return true;
+}
+
+export {
+    TRANSCRIPT_FORMATS,
+    buildTranscript,
+    downloadTranscript,
+    printTranscript,
+    getTranscriptFileName,
+    htmlToText,
+    htmlToMarkdown
+};
@@ -1,9 +1,21 @@
 import { LightningElement, api, wire } from 'lwc';
 import { publish, MessageContext } from 'lightning/messageService';
+import { getRecord } from 'lightning/uiRecordApi';
 import AGENTFORCE_SESSION_CHANNEL from '@salesforce/messageChannel/AgentforceSessionChannel__c';
 import getBackgroundImageUrl from '@salesforce/apex/AgentforceChatHostController.getBackgroundImageUrl';
 import getSessionRuleAction from '@salesforce/apex/AgentforceChatHostController.getSessionRuleAction';
 import getTokenRequestConfig from '@salesforce/apex/MessagingApiService.getTokenRequestConfig';
+import getIdentityToken from '@salesforce/apex/MessagingApiService.getIdentityToken';
+import emailTranscript from '@salesforce/apex/AgentforceTranscriptService.emailTranscript';
+import saveTranscript from '@salesforce/apex/AgentforceTranscriptService.saveTranscript';
+import isGuest from '@salesforce/user/isGuest';
+import userId from '@salesforce/user/Id';
+import basePath from '@salesforce/community/basePath';
+import { LABELS, formatLabel, getApiLanguage, formatTime } from 'c/agentforceChatLabels';
+import { markdownToHtml, sanitizeUrl, renderHtml, getClickedLink, isExternalUrl } from 'c/agentforceMarkdown';
+import { buildTranscript, downloadTranscript, printTranscript, htmlToText } from 'c/agentforceTranscript';
+import { buildFeedbackState, setFeedbackState, buildFeedbackEvent } from 'c/agentforceFeedback';
+import { parseChoices, buildChoiceState, setChoiceSelection } from 'c/agentforceChoices';
 
 /**
  * @description Host component for Agentforce Chat in Experience Cloud
@@ -31,6 +43,11 @@ export default class AgentforceWebHost extends LightningElement {
     @api inlineHeight = 500;
     @api inlineWidthPercent = 100;
 
+    // Floating launcher (displayMode 'FloatingButton')
+    @api chatButtonLabel = 'Chat with an Agent';
+    @api launcherIconName = 'utility:chat';
+    @api launcherPosition = 'BottomRight'; // 'BottomRight' or 'BottomLeft'
+
     // Background Image Configuration
     @api backgroundImageId = '';
 
@@ -66,18 +83,63 @@ export default class AgentforceWebHost extends LightningElement {
     @api searchUrlParameter = 'term';
     @api autoStartOnSearch = false;
 
+    // Verified User Configuration - logged-in members chat as themselves instead of as guests
+    @api enableUserVerification = false;
+
+    // Conversation Context Configuration
+    // Each mapping: { source: 'route'|'pageUrl'|'urlParameter'|'recordId'|'searchTerm'|'userField', key, attributeName }
+    @api contextMappings = [];
+    @api recordId; // Set by Experience Builder on record pages via {!recordId}
+
+    // File Attachments
+    @api enableAttachments = false;
+    @api maxAttachmentSizeMb = 5;
+    @api allowedAttachmentTypes = 'image/*,.pdf,.txt,.csv,.doc,.docx';
+
+    // Engagement signals sent to the agent
+    @api enableTypingIndicator = false;
+    @api enableReadReceipts = false;
+
+    // End-of-conversation survey
+    @api enableCsatSurvey = false;
+
+    // Transcript email - sender and template are set on the deployment's Messaging_Deployment__mdt record
+    @api enableTranscriptEmail = false;
+
+    // Transcript files - saved to Salesforce Files and linked to the session's Agentforce_Activity__c record
+    @api enableTranscriptSave = false;
+    @api saveTranscriptOnEnd = false;
+
+    // Reply notifications - while the tab is hidden or the floating panel is minimized
+    @api enableReplyNotifications = false; // Unread count in the page title
+    @api playNotificationSound = false;
+    @api enableDesktopNotifications = false; // Web Notifications, if the user grants permission
+
     // Flag to track if config has been applied
     _configApplied = false;
+    _launcherConfig = {}; // Launcher settings from configJson - these win over the @api values
+    _verificationConfig = {}; // Verified user setting from configJson
+    _contextConfig = {}; // Context mappings from configJson
+    _attachmentConfig = {}; // Attachment settings from configJson
+    _engagementConfig = {}; // Typing indicator and read receipt settings from configJson
+    _csatConfig = {}; // CSAT survey setting from configJson
+    _transcriptEmailConfig = {}; // Transcript email setting from configJson
+    _transcriptSaveConfig = {}; // Transcript file settings from configJson
+    _notificationConfig = {}; // Reply notification settings from configJson
 
     // UI State
-    _screenState = 'welcome'; // 'welcome', 'chat', 'loading', 'error', 'connecting'
+    _screenState = 'welcome'; // 'welcome', 'chat', 'loading', 'error', 'connecting', 'ended'
     inputMessage = '';
     messages = [];
     isAgentTyping = false;
     errorMessage = '';
     _isInitializing = false;
-    _initializingStatus = 'Connecting...';
+    _initializingStatus = LABELS.statusConnecting;
     _isMenuOpen = false;
+    _isExportMenuOpen = false;
+
+    // Custom Label strings for the template
+    labels = LABELS;
 
     // Background Image State
     _backgroundImageUrl = null;
@@ -106,10 +168,112 @@ export default class AgentforceWebHost extends LightningElement {
     _searchIntegrationProcessed = false;
     _sessionRuleAction = null; // Session rule action from Agent_Session_Rule__c (null = persist by default)
     _sessionRuleLoaded = false; // Whether the session rule has been loaded
+    _conversationEnded = false; // Ended on the server - transcript stays visible until a new chat starts
+    _hasEscalated = false; // A human agent has joined this conversation
+    _humanAgentPresent = false;
+
+    // Queue state while waiting for a human agent
+    _queueStatus = null; // { position, estimatedWaitSeconds } from the latest RoutingResult
+    _queueWaitStartedAt = null;
+    _queueElapsedSeconds = 0;
+    _queueWaitSeconds = null; // Total time waited, set once an agent joins
+    _queueTimer = null;
+    _leftMessageInQueue = false;
+
+    // Conversation Context State
+    _contextUserId = undefined; // Only set when user fields are mapped, so the wire stays idle otherwise
+    _contextUserFields = [];
+    _contextUser = null;
+
+    // SSE Reconnection State
+    SSE_RECONNECT_BASE_DELAY_MS = 1000;
+    SSE_RECONNECT_MAX_DELAY_MS = 30000;
+    SSE_MAX_RECONNECT_ATTEMPTS = 10;
+    _sseReconnectAttempts = 0;
+    _sseReconnectTimeout = null;
+    _sseTokenRenewed = false; // A 401 renews the token once - repeated 401s back off like any other failure
+    _connectionStatus = 'connected'; // 'connected', 'reconnecting', 'disconnected'
+
+    // Access Token Renewal State
+    TOKEN_RENEWAL_LEAD_MS = 5 * 60 * 1000; // Renew 5 minutes before expiry
+    DEFAULT_TOKEN_LIFETIME_MS = 60 * 60 * 1000; // Used when the token has no readable exp claim
+    _accessTokenExpiresAt = null;
+    _isVerifiedSession = false; // Token was issued for the logged-in user, not a guest
+    _tokenRenewalTimeout = null;
+    _tokenRenewalPromise = null;
+
+    // Server-side Close Settings
+    CLOSE_CONVERSATION_MAX_ATTEMPTS = 3;
+    CLOSE_CONVERSATION_RETRY_DELAY_MS = 1000; // Doubles after each failed attempt
+    CLOSE_CONVERSATION_TIMEOUT_MS = 5000; // SESSION_ENDED waits no longer than this for the close
+
+    // Attachment state
+    _attachmentError = null;
+    _isDragActive = false;
+    _lightboxImage = null; // { url, name } of the image open in the lightbox
+    _objectUrls = []; // Local previews of uploaded images, revoked when the session ends
+
+    // Floating panel - open state and unread count are kept in sessionStorage across page navigations
+    _isPanelOpen = false;
+    _unreadCount = 0;
+    _pendingPanelFocus = null; // 'panel' or 'launcher', focused on the next render
+
+    // Reply notifications
+    NOTIFICATION_BODY_MAX_LENGTH = 120;
+    _awayReplyCount = 0;
+    _originalDocumentTitle = null; // Page title before the unread count was added
+    _desktopNotification = null;
+    _audioContext = null;
+
+    // Citation sources drawer
+    _sourcesDrawer = null; // { messageId, activeNumber } of the answer whose sources are open
+
+    // Transcript email dialog
+    _emailDialog = null; // { email, status: 'idle' | 'sending' | 'sent', recipient, error }
+
+    // Outcome of an on-demand transcript save
+    _transcriptSaveNotice = null; // { text, isError }
+    _isSavingTranscript = false;
+
+    // End-of-conversation screen
+    CSAT_MAX_RATING = 5;
+    _endedSession = null; // { sessionId, conversationId, messages } of the chat the end screen is for
+    _csatRating = null;
+    _csatComment = '';
+    _csatSubmitted = false;
+
+    // Outgoing message queue - text messages are sent one at a time, in order
+    _outbox = []; // [{ localId, apiMessageId, text, isNewSession }]
+    _failedUploads = new Map(); // localId -> File, kept so a failed attachment can be retried
+    _isFlushingOutbox = false;
+
+    // User typing indicator and read receipts
+    TYPING_STOP_DELAY_MS = 3000; // Typing stopped is sent after this much idle time
+    READ_RECEIPT_BATCH_DELAY_MS = 500;
+    _isUserTyping = false;
+    _typingStopTimeout = null;
+    _acknowledgedEntryIds = new Set();
+    _pendingReadAcks = [];
+    _readAckTimeout = null;
+    _readObserver = null;
+    _readObserverRoot = null;
+
+    // Conversation history
+    HISTORY_ENTRY_LIMIT = 100; // Most recent entries fetched when rebuilding a restored chat
+    _renderedEntryIds = new Set(); // Server entry identifiers already in the transcript
 
     @wire(MessageContext)
     messageContext;
 
+    @wire(getRecord, { recordId: '$_contextUserId', optionalFields: '$_contextUserFields' })
+    wiredContextUser({ error, data }) {
+        if (data) {
+            this._contextUser = data;
+        } else if (error) {
+            this._contextUser = null;
+        }
+    }
+
     @wire(getBackgroundImageUrl, { imageId: '$backgroundImageId' })
     wiredBackgroundImage({ error, data }) {
         if (data) {
@@ -121,7 +285,15 @@ export default class AgentforceWebHost extends LightningElement {
 
     // ==================== COMPUTED PROPERTIES ====================
 
+    get isFloating() {
+        return this.displayMode === 'FloatingButton';
+    }
+
     get wrapperClass() {
+        if (this.isFloating) {
+            return `chat-wrapper floating-panel ${this._floatingPositionClass}`
+                + (this._isPanelOpen ? ' floating-panel-open' : '');
+        }
         return 'chat-wrapper';
     }
 
@@ -136,6 +308,300 @@ export default class AgentforceWebHost extends LightningElement {
         return '';
     }
 
+    // ==================== FLOATING LAUNCHER ====================
+
+    get _floatingPositionClass() {
+        const position = this._launcherConfig.launcherPosition ?? this.launcherPosition;
+        return position === 'BottomLeft' ? 'floating-bottom-left' : 'floating-bottom-right';
+    }
+
+    get panelRole() {
+        return this.isFloating ? 'dialog' : null;
+    }
+
+    get panelLabel() {
+        return this.isFloating ? this.chatHeaderTitle : null;
+    }
+
+    get panelAriaHidden() {
+        return this.isFloating && !this._isPanelOpen ? 'true' : null;
+    }
+
+    get panelTabIndex() {
+        return this.isFloating ? '-1' : null;
+    }
+
+    get launcherClass() {
+        return `floating-launcher ${this._floatingPositionClass}`
+            + (this._isPanelOpen ? ' floating-launcher-hidden' : '');
+    }
+
+    get launcherStyle() {
+        return `background-color: ${this.sendButtonColor};`;
+    }
+
+    get launcherIcon() {
+        return (this._launcherConfig.launcherIconName ?? this.launcherIconName) || 'utility:chat';
+    }
+
+    get launcherLabel() {
+        return this._launcherConfig.chatButtonLabel ?? this.chatButtonLabel;
+    }
+
+    get launcherExpanded() {
+        return String(this._isPanelOpen);
+    }
+
+    get hasUnreadMessages() {
+        return this._unreadCount > 0;
+    }
+
+    get unreadBadgeText() {
+        return this._unreadCount > 9 ? '9+' : String(this._unreadCount);
+    }
+
+    get launcherAriaLabel() {
+        return this.hasUnreadMessages
+            ? `${this.launcherLabel}, ${formatLabel(LABELS.unreadMessages, this._unreadCount)}`
+            : this.launcherLabel;
+    }
+
+    handleLauncherClick() {
+        this._setPanelOpen(true);
+    }
+
+    handleMinimizeClick() {
+        this._setPanelOpen(false);
+    }
+
+    /**
+     * Close ends the chat and hides the panel - unless ending it brings up the CSAT survey
+     */
+    handleFloatingCloseClick() {
+        if (this.isConversationActive) {
+            this.endSession();
+            if (this._screenState === 'ended') {
+                return;
+            }
+        } else if (this._conversationEnded || this._screenState === 'ended') {
+            this._resetSessionState();
+        }
+        this._setPanelOpen(false);
+    }
+
+    /**
+     * Open or minimize the floating panel, remembering the choice for the next page
+     * @param {Boolean} isOpen - True to open the panel
+     */
+    _setPanelOpen(isOpen) {
+        this._isPanelOpen = isOpen;
+        this._pendingPanelFocus = isOpen ? 'panel' : 'launcher';
+        if (isOpen) {
+            this._unreadCount = 0;
+            if (!this._isAwayFromChat()) {
+                this._clearReplyNotifications();
+            }
+            // Replies that arrived while minimized can be acknowledged now they're on screen
+            if (this._readReceiptsEnabled) {
+                this._disconnectReadObserver();
+                this._observeAgentMessages();
+            }
+            // eslint-disable-next-line @lwc/lwc/no-async-operation
+            setTimeout(() => {
+                this.scrollToBottom();
+            }, 0);
+        }
+        this._savePanelState();
+    }
+
+    /**
+     * Count an agent reply that arrived while the floating panel was minimized
+     */
+    _countUnreadMessage() {
+        if (this.isFloating && !this._isPanelOpen) {
+            this._unreadCount++;
+            this._savePanelState();
+        }
+    }
+
+    _focusPendingPanelElement() {
+        if (!this._pendingPanelFocus) {
+            return;
+        }
+        const selector = this._pendingPanelFocus === 'panel' ? '.floating-panel' : '.floating-launcher';
+        this._pendingPanelFocus = null;
+        const element = this.template.querySelector(selector);
+        if (element) {
+            element.focus();
+        }
+    }
+
+    _getPanelStorageKey() {
+        return `${this._getStorageKey()}_panel`;
+    }
+
+    _savePanelState() {
+        try {
+            sessionStorage.setItem(this._getPanelStorageKey(), JSON.stringify({
+                isOpen: this._isPanelOpen,
+                unreadCount: this._unreadCount
+            }));
+        } catch {
+            // Storage full or disabled - fail silently
+        }
+    }
+
+    _loadPanelState() {
+        try {
+            const stored = sessionStorage.getItem(this._getPanelStorageKey());
+            if (stored) {
+                const state = JSON.parse(stored);
+                this._isPanelOpen = state.isOpen === true;
+                this._unreadCount = state.unreadCount || 0;
+            }
+        } catch {
+            // Fail silently - the panel starts minimized
+        }
+    }
+
+    // ==================== REPLY NOTIFICATIONS ====================
+
+    get _replyNotificationsEnabled() {
+        return this._notificationConfig.enableReplyNotifications ?? this.enableReplyNotifications;
+    }
+
+    get _notificationSoundEnabled() {
+        return this._notificationConfig.playNotificationSound ?? this.playNotificationSound;
+    }
+
+    get _desktopNotificationsEnabled() {
+        return this._notificationConfig.enableDesktopNotifications ?? this.enableDesktopNotifications;
+    }
+
+    /**
+     * The user can't see the chat - the tab is hidden or the floating panel is minimized
+     */
+    _isAwayFromChat() {
+        return document.visibilityState === 'hidden' || (this.isFloating && !this._isPanelOpen);
+    }
+
+    /**
+     * Let the user know about an agent reply they can't see
+     * @param {String} htmlContent - The reply as rendered in the chat
+     * @param {String} senderName - Agent display name
+     */
+    _notifyAgentReply(htmlContent, senderName) {
+        if (!this._replyNotificationsEnabled || !this._isAwayFromChat()) {
+            return;
+        }
+
+        this._awayReplyCount++;
+        if (this._originalDocumentTitle === null) {
+            this._originalDocumentTitle = document.title;
+        }
+        document.title = formatLabel(LABELS.unreadTitle, this._awayReplyCount, this._originalDocumentTitle);
+
+        if (this._notificationSoundEnabled) {
+            this._playNotificationSound();
+        }
+        if (this._desktopNotificationsEnabled) {
+            this._showDesktopNotification(htmlContent, senderName);
+        }
+    }
+
+    /**
+     * Restore the page title and close any notification once the user is back in the chat
+     */
+    _clearReplyNotifications() {
+        if (this._originalDocumentTitle !== null) {
+            document.title = this._originalDocumentTitle;
+            this._originalDocumentTitle = null;
+        }
+        if (this._desktopNotification) {
+            this._desktopNotification.close();
+            this._desktopNotification = null;
+        }
+        this._awayReplyCount = 0;
+    }
+
+    /**
+     * Ask for notification permission - browsers only allow this from a user action,
+     * so it's called when the user sends a message
+     */
+    _requestNotificationPermission() {
+        if (!this._replyNotificationsEnabled || !this._desktopNotificationsEnabled
+            || typeof Notification === 'undefined' || Notification.permission !== 'default') {
+            return;
+        }
+        try {
+            Notification.requestPermission().catch(() => {
+                // Permission stays at default - replies only show in the tab title
+            });
+        } catch {
+            // Older browsers only support the callback form - skip notifications there
+        }
+    }
+
+    _showDesktopNotification(htmlContent, senderName) {
+        if (typeof Notification === 'undefined' || Notification.permission !== 'granted') {
+            return;
+        }
+
+        const text = htmlToText(htmlContent);
+        try {
+            // One notification per chat - a newer reply replaces the last one
+            this._desktopNotification = new Notification(formatLabel(LABELS.newReplyFrom, senderName), {
+                body: text.length > this.NOTIFICATION_BODY_MAX_LENGTH
+                    ? text.substring(0, this.NOTIFICATION_BODY_MAX_LENGTH - 1) + '…'
+                    : text,
+                tag: `agentforce-${this.currentSessionId}`,
+                silent: this._notificationSoundEnabled
+            });
+            this._desktopNotification.onclick = () => {
+                window.focus();
+                if (this.isFloating) {
+                    this._setPanelOpen(true);
+                }
+                this._clearReplyNotifications();
+            };
+        } catch {
+            // Some browsers only allow notifications from a service worker - the title still shows
+        }
+    }
+
+    /**
+     * Short two-tone chime, generated so no audio file needs to be deployed
+     */
+    _playNotificationSound() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            return;
+        }
+
+        try {
+            if (!this._audioContext) {
+                this._audioContext = new AudioContextClass();
+            }
+            const context = this._audioContext;
+            const gain = context.createGain();
+            gain.connect(context.destination);
+            gain.gain.setValueAtTime(0.0001, context.currentTime);
+            gain.gain.exponentialRampToValueAtTime(0.15, context.currentTime + 0.02);
+            gain.gain.exponentialRampToValueAtTime(0.0001, context.currentTime + 0.35);
+
+            [880, 1320].forEach((frequency, index) => {
+                const oscillator = context.createOscillator();
+                oscillator.type = 'sine';
+                oscillator.frequency.value = frequency;
+                oscillator.connect(gain);
+                oscillator.start(context.currentTime + index * 0.12);
+                oscillator.stop(context.currentTime + 0.35);
+            });
+        } catch {
+            // Autoplay blocked or audio unavailable - the title and notification still show
+        }
+    }
+
     get hasBackgroundImage() {
         return this._backgroundImageUrl !== null && this._backgroundImageUrl !== '';
     }
@@ -160,6 +626,13 @@ export default class AgentforceWebHost extends LightningElement {
         return this.deploymentDeveloperName && this.deploymentDeveloperName.trim() !== '';
     }
 
+    /**
+     * Verified sessions are only possible for logged-in Experience Cloud members
+     */
+    get useVerifiedSession() {
+        return (this._verificationConfig.enableUserVerification ?? this.enableUserVerification) && !isGuest;
+    }
+
     // ==================== TITLE & CALLOUT ====================
 
     /**
@@ -348,13 +821,44 @@ export default class AgentforceWebHost extends LightningElement {
         return this._screenState === 'error';
     }
 
+    get showEndScreen() {
+        return this._screenState === 'ended';
+    }
+
+    get csatRatingOptions() {
+        const options = [];
+        for (let value = 1; value <= this.CSAT_MAX_RATING; value++) {
+            const isSelected = value === this._csatRating;
+            options.push({
+                value: String(value),
+                label: String(value),
+                ariaLabel: formatLabel(LABELS.csatRatingOption, value),
+                ariaChecked: String(isSelected),
+                className: isSelected ? 'csat-rating-button selected' : 'csat-rating-button'
+            });
+        }
+        return options;
+    }
+
+    get isCsatSubmitted() {
+        return this._csatSubmitted;
+    }
+
+    get isCsatSubmitDisabled() {
+        return !this._csatRating;
+    }
+
+    get hasEndedTranscript() {
+        return !!this._endedSession && this._endedSession.messages.length > 0;
+    }
+
     get isSendDisabled() {
         // On welcome screen, only check for empty message
         if (this._screenState === 'welcome') {
             return !this.inputMessage || this.inputMessage.trim() === '';
         }
         // On chat screen, also check for access token and typing state
-        return !this.inputMessage || this.inputMessage.trim() === '' || this.isAgentTyping || !this._accessToken;
+        return !this.inputMessage || this.inputMessage.trim() === '' || this.isAgentTyping || !this._accessToken || this._conversationEnded;
     }
 
     get isInputDisabled() {
@@ -362,8 +866,93 @@ export default class AgentforceWebHost extends LightningElement {
         if (this._screenState === 'welcome') {
             return false;
         }
-        // On chat screen, disable during typing or if not connected
-        return this.isAgentTyping || !this._accessToken;
+        // On chat screen, disable during typing, if not connected or once the conversation has ended
+        return this.isAgentTyping || !this._accessToken || this._conversationEnded;
+    }
+
+    get isConversationEnded() {
+        return this._conversationEnded;
+    }
+
+    get showQueueBanner() {
+        return this._queueStatus !== null && !this._leftMessageInQueue && !this._conversationEnded;
+    }
+
+    get queuePositionText() {
+        const position = this._queueStatus?.position;
+        if (!position) {
+            return LABELS.waitingForAgent;
+        }
+        return position === 1 ? LABELS.nextInLine : formatLabel(LABELS.positionInLine, position);
+    }
+
+    get queueWaitText() {
+        const seconds = this._queueStatus?.estimatedWaitSeconds;
+        if (seconds === null || seconds === undefined) {
+            return '';
+        }
+        return seconds < 60
+            ? LABELS.waitLessThanMinute
+            : formatLabel(LABELS.waitMinutes, Math.round(seconds / 60));
+    }
+
+    get queueElapsedText() {
+        return formatLabel(LABELS.waitingElapsed, this._formatDuration(this._queueElapsedSeconds));
+    }
+
+    get showAttachButton() {
+        return (this._attachmentConfig.enableAttachments ?? this.enableAttachments) && this._screenState === 'chat';
+    }
+
+    get isAttachDisabled() {
+        return this.isInputDisabled;
+    }
+
+    get attachmentAccept() {
+        return (this._attachmentConfig.allowedAttachmentTypes ?? this.allowedAttachmentTypes) || '';
+    }
+
+    get attachmentError() {
+        return this._attachmentError;
+    }
+
+    get isDragActive() {
+        return this._isDragActive;
+    }
+
+    get isLightboxOpen() {
+        return this._lightboxImage !== null;
+    }
+
+    get lightboxUrl() {
+        return this._lightboxImage?.url;
+    }
+
+    get lightboxName() {
+        return this._lightboxImage?.name;
+    }
+
+    get isSourcesDrawerOpen() {
+        return this._sourcesDrawer !== null;
+    }
+
+    get sourcesDrawerItems() {
+        if (!this._sourcesDrawer) {
+            return [];
+        }
+        const message = this.messages.find(msg => msg.id === this._sourcesDrawer.messageId);
+        return (message?.citations || []).map(citation => ({
+            ...citation,
+            itemClass: citation.number === this._sourcesDrawer.activeNumber ? 'source-item active' : 'source-item'
+        }));
+    }
+
+    get isReconnecting() {
+        return this._connectionStatus === 'reconnecting';
+    }
+
+    get isConnectionLost() {
+        return this._connectionStatus === 'disconnected';
     }
 
     get sendButtonVariant() {
@@ -378,12 +967,36 @@ export default class AgentforceWebHost extends LightningElement {
         return this._sessionStartTimeFormatted || this._formatTime(new Date());
     }
 
+    get agentJoinedText() {
+        return formatLabel(LABELS.agentJoined, this.chatHeaderTitle);
+    }
+
+    get connectingToText() {
+        return formatLabel(LABELS.connectingTo, this.chatHeaderTitle);
+    }
+
     // ==================== LIFECYCLE ====================
 
     async connectedCallback() {
         // Parse configJson from CPE if provided (takes precedence over flat props)
         this._applyConfigJson();
 
+        // Flat-property configurations never go through _applyConfigJson
+        this._updateContextUserFields();
+
+        // Reopen the floating panel if it was open on the previous page
+        if (this.isFloating) {
+            this._loadPanelState();
+        }
+
+        // Reconnect the SSE stream as soon as the browser comes back online
+        this._onlineHandler = this.handleOnline.bind(this);
+        window.addEventListener('online', this._onlineHandler);
+
+        // Read receipts are only sent while the page is actually visible
+        this._visibilityHandler = this.handleVisibilityChange.bind(this);
+        document.addEventListener('visibilitychange', this._visibilityHandler);
+
         // Load session rule from Agent_Session_Rule__c
         // This determines if we should persist/restore sessions on this page
         await this._loadSessionRule();
@@ -428,6 +1041,11 @@ export default class AgentforceWebHost extends LightningElement {
             if (config.displayMode !== undefined) this.displayMode = config.displayMode;
             if (config.inlineHeight !== undefined) this.inlineHeight = config.inlineHeight;
             if (config.inlineWidthPercent !== undefined) this.inlineWidthPercent = config.inlineWidthPercent;
+            this._launcherConfig = {
+                chatButtonLabel: config.chatButtonLabel,
+                launcherIconName: config.launcherIconName,
+                launcherPosition: config.launcherPosition
+            };
             if (config.backgroundImageId !== undefined) this.backgroundImageId = config.backgroundImageId;
             if (config.gradientStartColor !== undefined) this.gradientStartColor = config.gradientStartColor;
             if (config.gradientMidColor !== undefined) this.gradientMidColor = config.gradientMidColor;
@@ -450,9 +1068,32 @@ export default class AgentforceWebHost extends LightningElement {
             if (config.enableSearchIntegration !== undefined) this.enableSearchIntegration = config.enableSearchIntegration;
             if (config.searchUrlParameter !== undefined) this.searchUrlParameter = config.searchUrlParameter;
             if (config.autoStartOnSearch !== undefined) this.autoStartOnSearch = config.autoStartOnSearch;
+            this._verificationConfig = { enableUserVerification: config.enableUserVerification };
+            this._contextConfig = { contextMappings: config.contextMappings };
+            this._attachmentConfig = {
+                enableAttachments: config.enableAttachments,
+                maxAttachmentSizeMb: config.maxAttachmentSizeMb,
+                allowedAttachmentTypes: config.allowedAttachmentTypes
+            };
+            this._engagementConfig = {
+                enableTypingIndicator: config.enableTypingIndicator,
+                enableReadReceipts: config.enableReadReceipts
+            };
+            this._csatConfig = { enableCsatSurvey: config.enableCsatSurvey };
+            this._transcriptEmailConfig = { enableTranscriptEmail: config.enableTranscriptEmail };
+            this._transcriptSaveConfig = {
+                enableTranscriptSave: config.enableTranscriptSave,
+                saveTranscriptOnEnd: config.saveTranscriptOnEnd
+            };
+            this._notificationConfig = {
+                enableReplyNotifications: config.enableReplyNotifications,
+                playNotificationSound: config.playNotificationSound,
+                enableDesktopNotifications: config.enableDesktopNotifications
+            };
 
             this._configApplied = true;
-        } catch (e) {
+            this._updateContextUserFields();
+        } catch {
             // If parsing fails, fall back to individual @api properties
         }
     }
@@ -462,7 +1103,30 @@ export default class AgentforceWebHost extends LightningElement {
         if (this.isConversationActive) {
             this._saveSession();
         }
+        if (this._onlineHandler) {
+            window.removeEventListener('online', this._onlineHandler);
+        }
+        if (this._visibilityHandler) {
+            document.removeEventListener('visibilitychange', this._visibilityHandler);
+        }
+        this._clearTypingStopTimeout();
+        this._clearReadAckTimeout();
+        this._disconnectReadObserver();
+        this._clearTokenRenewalTimeout();
+        this._clearQueueTimer();
         this.closeSSEConnection();
+        this._revokeObjectUrls();
+        this._clearReplyNotifications();
+        if (this._audioContext) {
+            this._audioContext.close();
+            this._audioContext = null;
+        }
+    }
+
+    renderedCallback() {
+        this._renderMessageHtml();
+        this._observeAgentMessages();
+        this._focusPendingPanelElement();
     }
 
     /**
@@ -477,42 +1141,16 @@ export default class AgentforceWebHost extends LightningElement {
         this._searchIntegrationProcessed = true;
 
         try {
-            let searchQuery = null;
-
-            // First, try query parameters (e.g., ?term=lwc)
-            const urlParams = new URLSearchParams(window.location.search);
-            searchQuery = urlParams.get(this.searchUrlParameter);
-
-            // If no query param found, check for path-based URL pattern
-            // Experience Cloud uses: /global-search/SearchTerm
-            if (!searchQuery) {
-                const pathname = window.location.pathname;
-
-                // Check for /global-search/ pattern
-                const globalSearchMatch = pathname.match(/\/global-search\/(.+?)(?:\/|$)/i);
-                if (globalSearchMatch && globalSearchMatch[1]) {
-                    searchQuery = decodeURIComponent(globalSearchMatch[1])
-                        .replace(/[-_]/g, ' ')
-                        .trim();
-                }
-
-                // Also check for custom path pattern
-                if (!searchQuery && this.searchUrlParameter) {
-                    const customPathRegex = new RegExp(`\\/${this.searchUrlParameter}\\/(.+?)(?:\\/|$)`, 'i');
-                    const customMatch = pathname.match(customPathRegex);
-                    if (customMatch && customMatch[1]) {
-                        searchQuery = decodeURIComponent(customMatch[1])
-                            .replace(/[-_]/g, ' ')
-                            .trim();
-                    }
-                }
-            }
+            const searchQuery = this._getSearchQueryFromUrl();
 
             if (searchQuery && searchQuery.trim()) {
                 this._initialSearchQuery = searchQuery.trim();
 
                 // Auto-start chat with the search query
                 if (this.autoStartOnSearch) {
+                    if (this.isFloating) {
+                        this._setPanelOpen(true);
+                    }
                     // Use setTimeout to ensure component is fully rendered
                     // eslint-disable-next-line @lwc/lwc/no-async-operation
                     setTimeout(() => {
@@ -521,11 +1159,48 @@ export default class AgentforceWebHost extends LightningElement {
                 }
             }
             // If no query found, component renders normally (welcome screen)
-        } catch (error) {
+        } catch {
             // Silently fail - search integration is optional, component renders normally
         }
     }
 
+    /**
+     * Read the search term from the current URL
+     * @returns {String} The search term, or null if the page has none
+     */
+    _getSearchQueryFromUrl() {
+        // First, try query parameters (e.g., ?term=lwc)
+        const urlParams = new URLSearchParams(window.location.search);
+        let searchQuery = urlParams.get(this.searchUrlParameter);
+
+        // If no query param found, check for path-based URL pattern
+        // Experience Cloud uses: /global-search/SearchTerm
+        if (!searchQuery) {
+            const pathname = window.location.pathname;
+
+            // Check for /global-search/ pattern
+            const globalSearchMatch = pathname.match(/\/global-search\/(.+?)(?:\/|$)/i);
+            if (globalSearchMatch && globalSearchMatch[1]) {
+                searchQuery = decodeURIComponent(globalSearchMatch[1])
+                    .replace(/[-_]/g, ' ')
+                    .trim();
+            }
+
+            // Also check for custom path pattern
+            if (!searchQuery && this.searchUrlParameter) {
+                const customPathRegex = new RegExp(`\\/${this.searchUrlParameter}\\/(.+?)(?:\\/|$)`, 'i');
+                const customMatch = pathname.match(customPathRegex);
+                if (customMatch && customMatch[1]) {
+                    searchQuery = decodeURIComponent(customMatch[1])
+                        .replace(/[-_]/g, ' ')
+                        .trim();
+                }
+            }
+        }
+
+        return searchQuery || null;
+    }
+
     /**
      * Start the chat session with the search query as the first message
      */
@@ -545,17 +1220,17 @@ export default class AgentforceWebHost extends LightningElement {
      */
     async initializeMessagingApi() {
         if (!this.hasDeploymentConfigured) {
-            this.errorMessage = 'No deployment configured. Please select a deployment in the component settings.';
+            this.errorMessage = LABELS.errorNoDeployment;
             this._screenState = 'error';
             return false;
         }
 
         this._screenState = 'chat';
         this._isInitializing = true;
-        this._initializingStatus = 'Connecting...';
+        this._initializingStatus = LABELS.statusConnecting;
 
         try {
-            this._initializingStatus = 'Getting configuration...';
+            this._initializingStatus = LABELS.statusGettingConfiguration;
             let config;
             try {
                 config = await getTokenRequestConfig({
@@ -563,7 +1238,7 @@ export default class AgentforceWebHost extends LightningElement {
                     deploymentDeveloperName: this.deploymentDeveloperName
                 });
             } catch (apexError) {
-                const apexMessage = apexError.body?.message || apexError.message || 'Configuration failed';
+                const apexMessage = apexError.body?.message || apexError.message || LABELS.errorConfigurationFailed;
                 throw new Error(apexMessage);
             }
 
@@ -574,16 +1249,18 @@ export default class AgentforceWebHost extends LightningElement {
             this._scrtUrl = config.scrtUrl;
             this._orgId = config.orgId;
 
-            this._initializingStatus = 'Authenticating...';
-            const tokenResponse = await this.fetchAccessToken(config);
+            this._initializingStatus = LABELS.statusAuthenticating;
+            const tokenResponse = this.useVerifiedSession
+                ? await this.fetchAuthenticatedAccessToken(config)
+                : await this.fetchAccessToken(config);
             if (!tokenResponse || !tokenResponse.accessToken) {
                 throw new Error('Failed to obtain access token');
             }
 
-            this._accessToken = tokenResponse.accessToken;
+            this._setAccessToken(tokenResponse.accessToken);
             this._lastEventId = tokenResponse.lastEventId || '';
 
-            this._initializingStatus = 'Starting conversation...';
+            this._initializingStatus = LABELS.statusStartingConversation;
             const conversationResponse = await this.createConversation();
             if (!conversationResponse) {
                 throw new Error('Failed to create conversation');
@@ -593,16 +1270,16 @@ export default class AgentforceWebHost extends LightningElement {
 
             this.subscribeToSSE();
 
-            this._initializingStatus = 'Connecting to agent...';
+            this._initializingStatus = LABELS.statusConnectingToAgent;
             await this.waitForSessionActive();
 
-            this._initializingStatus = 'Agent is joining...';
+            this._initializingStatus = LABELS.statusAgentJoining;
             await this.waitForAgentGreeting();
 
             this._isInitializing = false;
             return true;
         } catch (error) {
-            const errorDetail = error.body?.message || error.message || 'Failed to connect to agent';
+            const errorDetail = error.body?.message || error.message || LABELS.errorConnectFailed;
             this.errorMessage = errorDetail;
             this._screenState = 'error';
             this._isInitializing = false;
@@ -641,24 +1318,234 @@ export default class AgentforceWebHost extends LightningElement {
     }
 
     /**
-     * Create a new conversation
+     * Renew the access token through the continuation-token endpoint
+     * The renewed token stays bound to the same conversation, so conversationId is kept.
+     * Concurrent callers share a single in-flight renewal.
      */
-    async createConversation() {
-        this._conversationId = this.generateUUID();
-        const conversationUrl = `${this._scrtUrl}/iamessage/api/v2/conversation`;
-
-        const response = await fetch(conversationUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${this._accessToken}`
-            },
-            body: JSON.stringify({
-                conversationId: this._conversationId,
-                esDeveloperName: this.deploymentDeveloperName,
-                routingAttributes: {}
-            })
-        });
+    renewAccessToken() {
+        if (!this._tokenRenewalPromise) {
+            this._tokenRenewalPromise = this._requestContinuationToken().finally(() => {
+                this._tokenRenewalPromise = null;
+            });
+        }
+        return this._tokenRenewalPromise;
+    }
+
+    async _requestContinuationToken() {
+        if (!this._accessToken || !this._scrtUrl) {
+            throw new Error('Not connected to messaging service');
+        }
+
+        const tokenUrl = `${this._scrtUrl}/iamessage/api/v2/authorization/continuation-access-token`;
+
+        const response = await fetch(tokenUrl, {
+            method: 'GET',
+            headers: { 'Authorization': `Bearer ${this._accessToken}` }
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            if (response.status === 401 || response.status === 403) {
+                // Verified users can re-authenticate and keep the same conversation
+                if (this._isVerifiedSession) {
+                    return this._reauthenticateVerifiedSession();
+                }
+                // The old guest token is no longer accepted - the conversation cannot be continued
+                this._handleSessionExpired();
+            }
+            throw new Error(`Token renewal failed: ${response.status} - ${errorText}`);
+        }
+
+        const tokenResponse = await response.json();
+        if (!tokenResponse || !tokenResponse.accessToken) {
+            throw new Error('Empty response from continuation token endpoint');
+        }
+
+        console.log('[WebHost] TOKEN RENEWED:', {
+            conversationId: this._conversationId
+        });
+
+        this._setAccessToken(tokenResponse.accessToken);
+        this._saveSession();
+        return tokenResponse;
+    }
+
+    /**
+     * Get a fresh authenticated token for a verified user whose token has fully expired
+     * The conversation belongs to the user, so the same conversationId stays valid
+     */
+    async _reauthenticateVerifiedSession() {
+        try {
+            const config = await getTokenRequestConfig({
+                orgId: null,
+                deploymentDeveloperName: this.deploymentDeveloperName
+            });
+            const tokenResponse = await this.fetchAuthenticatedAccessToken(config);
+            this._setAccessToken(tokenResponse.accessToken);
+            this._saveSession();
+            return tokenResponse;
+        } catch (error) {
+            this._handleSessionExpired();
+            throw error;
+        }
+    }
+
+    /**
+     * Store a new access token and schedule its renewal before it expires
+     */
+    _setAccessToken(accessToken, expiresAt = null) {
+        this._accessToken = accessToken;
+        this._accessTokenExpiresAt = expiresAt || this._getTokenExpiry(accessToken);
+        this._scheduleTokenRenewal();
+    }
+
+    /**
+     * Read the expiry (ms) from the access token's JWT exp claim
+     * Falls back to DEFAULT_TOKEN_LIFETIME_MS from now if the token can't be decoded
+     */
+    _getTokenExpiry(accessToken) {
+        try {
+            const payload = accessToken.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            const claims = JSON.parse(atob(payload));
+            if (claims.exp) {
+                return claims.exp * 1000;
+            }
+        } catch (error) {
+            console.warn('[WebHost] TOKEN EXPIRY UNREADABLE:', error.message);
+        }
+        return Date.now() + this.DEFAULT_TOKEN_LIFETIME_MS;
+    }
+
+    /**
+     * Whether the access token is expired or inside the renewal lead window
+     */
+    _isAccessTokenExpiring() {
+        return !this._accessTokenExpiresAt || Date.now() >= this._accessTokenExpiresAt - this.TOKEN_RENEWAL_LEAD_MS;
+    }
+
+    _scheduleTokenRenewal() {
+        this._clearTokenRenewalTimeout();
+        if (!this._accessTokenExpiresAt) {
+            return;
+        }
+
+        const delay = Math.max(0, this._accessTokenExpiresAt - this.TOKEN_RENEWAL_LEAD_MS - Date.now());
+
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this._tokenRenewalTimeout = setTimeout(() => {
+            this._tokenRenewalTimeout = null;
+            this.renewAccessToken().catch((error) => {
+                // A 401 on the next request retries the renewal
+                console.warn('[WebHost] TOKEN RENEWAL FAILED:', error.message);
+            });
+        }, delay);
+    }
+
+    _clearTokenRenewalTimeout() {
+        if (this._tokenRenewalTimeout) {
+            clearTimeout(this._tokenRenewalTimeout);
+            this._tokenRenewalTimeout = null;
+        }
+    }
+
+    /**
+     * The access token could not be renewed - end the session and tell the user
+     */
+    _handleSessionExpired() {
+        console.warn('[WebHost] SESSION EXPIRED:', {
+            conversationId: this._conversationId
+        });
+
+        // The token is gone, so the server will time the conversation out on its own
+        this._endSession({ closeOnServer: false, reason: 'SessionExpired' });
+        this.errorMessage = LABELS.errorSessionExpired;
+        this._screenState = 'error';
+    }
+
+    /**
+     * Fetch a Messaging API endpoint with the current bearer token
+     * On a 401 the access token is renewed and the request retried once
+     */
+    async _fetchWithAuth(url, options = {}, isRetry = false) {
+        const response = await fetch(url, {
+            ...options,
+            headers: {
+                ...(options.headers || {}),
+                'Authorization': `Bearer ${this._accessToken}`
+            }
+        });
+
+        if (response.status === 401 && !isRetry) {
+            await this.renewAccessToken();
+            return this._fetchWithAuth(url, options, true);
+        }
+
+        return response;
+    }
+
+    /**
+     * Fetch an authenticated (verified user) access token from SCRT
+     * Exchanges a signed identity token from Apex so the conversation is linked
+     * to the logged-in user and follows them across devices
+     */
+    async fetchAuthenticatedAccessToken(config) {
+        let identity;
+        try {
+            identity = await getIdentityToken({
+                deploymentDeveloperName: this.deploymentDeveloperName
+            });
+        } catch (apexError) {
+            const apexMessage = apexError.body?.message || apexError.message || 'Identity token request failed';
+            throw new Error(apexMessage);
+        }
+
+        const tokenUrl = `${config.scrtUrl}/iamessage/api/v2/authorization/authenticated/access-token`;
+
+        const response = await fetch(tokenUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                orgId: config.orgId,
+                esDeveloperName: config.esDeveloperName,
+                capabilitiesVersion: config.capabilitiesVersion,
+                platform: config.platform,
+                authorizationType: 'JWT',
+                customerIdentityToken: identity.identityToken
+            })
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Authenticated token request failed: ${response.status} - ${errorText}`);
+        }
+
+        const responseText = await response.text();
+        if (!responseText) {
+            throw new Error('Empty response from token endpoint');
+        }
+
+        this._isVerifiedSession = true;
+        return JSON.parse(responseText);
+    }
+
+    /**
+     * Create a new conversation
+     */
+    async createConversation() {
+        this._conversationId = this.generateUUID();
+        const conversationUrl = `${this._scrtUrl}/iamessage/api/v2/conversation`;
+
+        const response = await this._fetchWithAuth(conversationUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                conversationId: this._conversationId,
+                esDeveloperName: this.deploymentDeveloperName,
+                routingAttributes: this._buildRoutingAttributes()
+            })
+        });
 
         if (!response.ok) {
             const errorText = await response.text();
@@ -672,11 +1559,115 @@ export default class AgentforceWebHost extends LightningElement {
 
         try {
             return JSON.parse(responseText);
-        } catch (e) {
+        } catch {
             return { conversationId: this._conversationId };
         }
     }
 
+    // ==================== CONVERSATION CONTEXT ====================
+
+    /**
+     * Build hidden pre-chat / routing attributes from the configured context mappings
+     * so the agent knows which page, record or search the customer came from
+     * @returns {Object} Map of hidden pre-chat field API name to value
+     */
+    _buildRoutingAttributes() {
+        const attributes = {};
+        const mappings = this._getContextMappings();
+
+        for (const mapping of mappings) {
+            if (!mapping || !mapping.attributeName) {
+                continue;
+            }
+
+            let value = null;
+            try {
+                value = this._resolveContextValue(mapping);
+            } catch {
+                // A mapping that can't be read is left out of the routing attributes
+            }
+
+            if (value !== null && value !== undefined && value !== '') {
+                // Hidden pre-chat fields are text fields - keep within their 255 character limit
+                attributes[mapping.attributeName] = String(value).substring(0, 255);
+            }
+        }
+
+        return attributes;
+    }
+
+    /**
+     * Resolve the value for a single context mapping
+     * @param {Object} mapping - { source, key, attributeName }
+     * @returns {String} The value, or null if unavailable on this page
+     */
+    _resolveContextValue(mapping) {
+        switch (mapping.source) {
+            case 'route':
+                return this._getCurrentRoute();
+            case 'pageUrl':
+                return window.location.href;
+            case 'urlParameter':
+                return mapping.key ? new URLSearchParams(window.location.search).get(mapping.key) : null;
+            case 'recordId':
+                return this.recordId || null;
+            case 'searchTerm':
+                return this._initialSearchQuery || this._getSearchQueryFromUrl();
+            case 'userField':
+                return this._getContextUserFieldValue(mapping.key);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Read a (possibly dotted, e.g. Contact.AccountId) field from the wired running user record
+     */
+    _getContextUserFieldValue(fieldPath) {
+        if (!fieldPath || !this._contextUser) {
+            return null;
+        }
+
+        let record = this._contextUser;
+        const parts = fieldPath.split('.');
+        for (let i = 0; i < parts.length; i++) {
+            const field = record?.fields?.[parts[i]];
+            if (!field) {
+                return null;
+            }
+            if (i === parts.length - 1) {
+                return field.value;
+            }
+            record = field.value;
+        }
+        return null;
+    }
+
+    _getContextMappings() {
+        const mappings = this._contextConfig.contextMappings ?? this.contextMappings;
+        return Array.isArray(mappings) ? mappings : [];
+    }
+
+    /**
+     * Point the user record wire at the fields used by 'userField' mappings
+     * Guests have no user record worth reading, so the wire stays idle for them
+     */
+    _updateContextUserFields() {
+        const mappings = this._getContextMappings();
+        const fields = mappings
+            .filter(mapping => mapping && mapping.source === 'userField' && mapping.key)
+            .map(mapping => `User.${mapping.key}`);
+
+        if (fields.length === 0 || isGuest) {
+            this._contextUserId = undefined;
+            this._contextUserFields = [];
+            return;
+        }
+
+        this._contextUserFields = fields;
+        this._contextUserId = userId;
+    }
+
     /**
      * Subscribe to Server-Sent Events for real-time messages
      */
@@ -746,24 +1737,42 @@ export default class AgentforceWebHost extends LightningElement {
 
     /**
      * Internal method to start SSE stream processing
+     * Any error or end of stream that was not caused by an intentional abort
+     * schedules a reconnect, which resumes from _lastEventId
      */
     async _startSSEStream(sseUrl, headers) {
+        const controller = this._sseAbortController;
+
         try {
             const response = await fetch(sseUrl, {
                 method: 'GET',
                 headers: headers,
-                signal: this._sseAbortController.signal
+                signal: controller.signal
             });
 
+            if (response.status === 401 && controller === this._sseAbortController && !this._sseTokenRenewed) {
+                // Token expired while the stream was down - renew and resubscribe with the new token
+                this._sseTokenRenewed = true;
+                await this.renewAccessToken();
+                this.subscribeToSSE();
+                return;
+            }
+
             if (!response.ok) {
+                this._handleSSEDisconnect(controller, `SSE request failed: ${response.status}`);
                 return;
             }
 
+            this._connectionStatus = 'connected';
+
             const reader = response.body.getReader();
             const decoder = new TextDecoder();
             let buffer = '';
+            let hasReceivedEvent = false;
 
             while (true) {
+                // Chunks arrive one at a time and must be parsed in order
+                // eslint-disable-next-line no-await-in-loop
                 const { done, value } = await reader.read();
                 if (done) break;
 
@@ -773,12 +1782,86 @@ export default class AgentforceWebHost extends LightningElement {
 
                 for (const eventStr of events) {
                     if (eventStr.trim()) {
+                        // Only a stream that delivers something resets the backoff - one that
+                        // is accepted and then closed straight away keeps counting attempts
+                        if (!hasReceivedEvent) {
+                            hasReceivedEvent = true;
+                            this._sseReconnectAttempts = 0;
+                            this._sseTokenRenewed = false;
+                        }
                         this.processSSEEvent(eventStr);
                     }
                 }
             }
+
+            // Server closed the stream (proxy timeout, idle close, etc.)
+            this._handleSSEDisconnect(controller, 'SSE stream ended');
         } catch (error) {
-            // Silently handle abort and connection errors
+            this._handleSSEDisconnect(controller, error.message);
+        }
+    }
+
+    /**
+     * Handle a dropped SSE stream - reconnect unless it was closed on purpose
+     * @param {AbortController} controller - The controller the dropped stream was started with
+     * @param {String} reason - Why the stream ended (for logging)
+     */
+    _handleSSEDisconnect(controller, reason) {
+        // Aborted by closeSSEConnection/subscribeToSSE, or superseded by a newer stream
+        if (controller.signal.aborted || controller !== this._sseAbortController) {
+            return;
+        }
+
+        // Session was ended while the stream was open
+        if (!this._conversationId || !this._accessToken) {
+            return;
+        }
+
+        console.warn('[WebHost] SSE DISCONNECTED:', {
+            reason,
+            attempt: this._sseReconnectAttempts,
+            lastEventId: this._lastEventId
+        });
+
+        this._scheduleSSEReconnect();
+    }
+
+    /**
+     * Schedule an SSE reconnect using exponential backoff with jitter
+     * Gives up after SSE_MAX_RECONNECT_ATTEMPTS and shows a manual reconnect action
+     */
+    _scheduleSSEReconnect() {
+        this._clearSSEReconnectTimeout();
+
+        if (this._sseReconnectAttempts >= this.SSE_MAX_RECONNECT_ATTEMPTS) {
+            this._connectionStatus = 'disconnected';
+            return;
+        }
+
+        // Equal jitter: half the exponential delay is fixed, the other half random
+        const exponentialDelay = Math.min(
+            this.SSE_RECONNECT_MAX_DELAY_MS,
+            this.SSE_RECONNECT_BASE_DELAY_MS * Math.pow(2, this._sseReconnectAttempts)
+        );
+        const delay = exponentialDelay / 2 + Math.random() * (exponentialDelay / 2);
+
+        this._sseReconnectAttempts++;
+        this._connectionStatus = 'reconnecting';
+
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this._sseReconnectTimeout = setTimeout(() => {
+            this._sseReconnectTimeout = null;
+            this.subscribeToSSE();
+        }, delay);
+    }
+
+    /**
+     * Cancel a pending SSE reconnect
+     */
+    _clearSSEReconnectTimeout() {
+        if (this._sseReconnectTimeout) {
+            clearTimeout(this._sseReconnectTimeout);
+            this._sseReconnectTimeout = null;
         }
     }
 
@@ -789,12 +1872,15 @@ export default class AgentforceWebHost extends LightningElement {
         const lines = eventStr.split('\n');
         let data = '';
         let eventId = '';
+        let eventType = '';
 
         for (const line of lines) {
             if (line.startsWith('data:')) {
                 data += line.substring(5).trim();
             } else if (line.startsWith('id:')) {
                 eventId = line.substring(3).trim();
+            } else if (line.startsWith('event:')) {
+                eventType = line.substring(6).trim();
             }
         }
 
@@ -802,6 +1888,11 @@ export default class AgentforceWebHost extends LightningElement {
             this._lastEventId = eventId;
         }
 
+        if (eventType === 'CONVERSATION_CLOSE_CONVERSATION') {
+            this._handleServerSessionEnd('ServerClosed');
+            return;
+        }
+
         if (data) {
             this.handleSSEMessage({ data });
         }
@@ -825,18 +1916,37 @@ export default class AgentforceWebHost extends LightningElement {
                 conversationId: this._conversationId
             });
 
+            // Replayed after a restore - already rebuilt from the conversation history
+            if (entry.identifier && this._renderedEntryIds.has(entry.identifier)) {
+                return;
+            }
+            if (entry.identifier) {
+                this._renderedEntryIds.add(entry.identifier);
+            }
+
             if (entryType === 'Message') {
                 const payload = JSON.parse(entry.entryPayload);
                 const abstractMessage = payload.abstractMessage;
 
                 if (sender && (sender.role === 'Chatbot' || sender.role === 'Agent')) {
                     this.isAgentTyping = false;
-                    const messageText = abstractMessage?.staticContent?.text || '';
+                    const choices = parseChoices(abstractMessage);
+                    const attachments = this._parseAttachments(abstractMessage);
+                    const form = this._parseForm(abstractMessage);
+                    const citations = this._parseCitations(abstractMessage);
+                    const messageText = abstractMessage?.staticContent?.text || choices?.text || form?.title || '';
 
-                    if (messageText) {
+                    if (messageText || choices || form || attachments.length > 0) {
                         // Convert markdown to HTML for proper rendering
-                        const htmlContent = this._markdownToHtml(messageText);
-                        this.addMessage(htmlContent, 'agent', true);
+                        const htmlContent = markdownToHtml(messageText);
+                        this.addMessage(htmlContent, 'agent', true, {
+                            choices,
+                            form,
+                            attachments,
+                            citations,
+                            author: { name: entry.senderDisplayName, role: sender.role },
+                            entryId: entry.identifier
+                        });
                         this.messageCount++;
 
                         if (!this._agentGreetingReceived) {
@@ -847,6 +1957,9 @@ export default class AgentforceWebHost extends LightningElement {
                             }
                         }
 
+                        this._countUnreadMessage();
+                        this._notifyAgentReply(htmlContent, entry.senderDisplayName || this.chatHeaderTitle);
+
                         this.publishToChannel('MESSAGE_RECEIVED', {
                             messageIndex: this.messageCount
                         });
@@ -855,6 +1968,18 @@ export default class AgentforceWebHost extends LightningElement {
                         this._saveSession();
                     }
                 }
+            } else if (entryType === 'DeliveryAcknowledgement' || entryType === 'ReadAcknowledgement') {
+                const payload = JSON.parse(entry.entryPayload);
+                this._handleAcknowledgement(
+                    payload.acknowledgedConversationEntryIdentifier,
+                    entryType === 'ReadAcknowledgement' ? 'read' : 'delivered'
+                );
+            } else if (entryType === 'RoutingResult') {
+                const payload = JSON.parse(entry.entryPayload);
+                this._handleRoutingResult(payload);
+            } else if (entryType === 'ParticipantChanged') {
+                const payload = JSON.parse(entry.entryPayload);
+                (payload.entries || []).forEach(change => this._handleParticipantChange(change));
             } else if (entryType === 'TypingStartedIndicator') {
                 if (sender && (sender.role === 'Chatbot' || sender.role === 'Agent')) {
                     this.isAgentTyping = true;
@@ -870,73 +1995,619 @@ export default class AgentforceWebHost extends LightningElement {
                         this._sessionActiveResolver();
                         this._sessionActiveResolver = null;
                     }
+                } else if (payload.sessionStatus === 'Ended') {
+                    this._handleServerSessionEnd('ServerEnded');
+                } else if (payload.sessionStatus === 'Closed') {
+                    this._handleServerSessionEnd('ServerClosed');
                 }
             }
-        } catch (error) {
+        } catch {
             // Silently handle parse errors
         }
     }
 
     /**
-     * Close SSE connection by aborting the fetch request
+     * The agent, a supervisor or a timeout ended the conversation on the server
+     * Keep the transcript on screen, stop the session and offer a fresh start -
+     * or ask for a rating first when the CSAT survey is on
+     * @param {String} reason - 'ServerEnded' or 'ServerClosed'
      */
-    closeSSEConnection() {
-        if (this._sseAbortController) {
-            this._sseAbortController.abort();
-            this._sseAbortController = null;
+    _handleServerSessionEnd(reason) {
+        if (!this.isConversationActive) {
+            return;
         }
-    }
 
-    /**
-     * Send a message through the Messaging API
-     */
-    async sendMessageToApi(messageText, isNewSession = false) {
-        if (!this._accessToken || !this._conversationId) {
-            throw new Error('Not connected to messaging service');
+        this._clearStoredSession();
+        this.closeSSEConnection();
+        this._clearTokenRenewalTimeout();
+
+        this.isConversationActive = false;
+        this.isAgentTyping = false;
+        this._isMenuOpen = false;
+        this._conversationEnded = true;
+
+        if (this._saveTranscriptOnEndEnabled) {
+            this._saveTranscript(this.messages, this.currentSessionId, false);
         }
 
-        console.log('[WebHost] API SEND:', {
+        // The end screen still offers the transcript, so nothing on screen is lost
+        if (this._csatSurveyEnabled) {
+            this._showEndScreen({
+                sessionId: this.currentSessionId,
+                conversationId: this._conversationId,
+                messages: this.messages
+            });
+        }
+
+        this.publishToChannel('SESSION_ENDED', {
+            messageCount: this.messageCount,
             conversationId: this._conversationId,
-            messagePreview: messageText.substring(0, 50) + (messageText.length > 50 ? '...' : ''),
-            isNewSession
+            reason: reason,
+            serverClosed: true,
+            queueWaitSeconds: this._getQueueWaitSeconds(),
+            leftMessage: this._leftMessageInQueue
         });
+        this._clearQueueTimer();
 
-        const messageUrl = `${this._scrtUrl}/iamessage/api/v2/conversation/${this._conversationId}/message`;
-        const messageId = this.generateUUID();
-
-        const response = await fetch(messageUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${this._accessToken}`
+        this.dispatchEvent(new CustomEvent('sessionended', {
+            detail: {
+                sessionId: this.currentSessionId,
+                conversationId: this._conversationId,
+                messageCount: this.messageCount,
+                serverClosed: true,
+                reason: reason
             },
-            body: JSON.stringify({
-                message: {
-                    id: messageId,
-                    messageType: 'StaticContentMessage',
-                    staticContent: { formatType: 'Text', text: messageText }
-                },
-                esDeveloperName: this.deploymentDeveloperName,
-                isNewMessagingSession: isNewSession,
-                language: 'en'
-            })
-        });
+            bubbles: true,
+            composed: true
+        }));
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Send message failed: ${response.status} - ${errorText}`);
-        }
+        // Scroll the ended notice into view
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        setTimeout(() => {
+            this.scrollToBottom();
+        }, 50);
+    }
+
+    /**
+     * A bot or human agent joined or left the conversation (e.g. Agentforce escalating to a rep)
+     * @param {Object} change - One entry from a ParticipantChanged payload ({ operation, displayName, participant })
+     */
+    _handleParticipantChange(change) {
+        const role = change.participant?.role;
+        if (role !== 'Agent' && role !== 'Chatbot') {
+            return;
+        }
+
+        const joined = change.operation === 'add';
+        const isHuman = role === 'Agent';
+        const name = change.displayName || (isHuman ? LABELS.agentFallbackName : this.chatHeaderTitle);
+        const isEscalation = joined && isHuman && !this._hasEscalated;
+        const queueWaitSeconds = joined && isHuman ? this._endQueueWait() : null;
+
+        // The bot joining at the start and leaving on transfer is noise - only announce people
+        if (isHuman) {
+            this.addSystemNotice(this._getParticipantNotice(change));
+        }
+        if (isEscalation) {
+            this._hasEscalated = true;
+        }
+        if (isHuman) {
+            this._humanAgentPresent = joined;
+        }
+
+        this.publishToChannel('PARTICIPANT_CHANGED', {
+            operation: joined ? 'joined' : 'left',
+            participantRole: role,
+            participantName: name,
+            isEscalation: isEscalation,
+            queueWaitSeconds: queueWaitSeconds,
+            messageIndex: this.messageCount
+        });
+
+        this._saveSession();
+    }
+
+    _getParticipantNotice(change) {
+        const name = change.displayName || LABELS.agentFallbackName;
+        return formatLabel(change.operation === 'add' ? LABELS.agentJoined : LABELS.agentLeft, name);
+    }
+
+    // ==================== CONVERSATION HISTORY ====================
+
+    /**
+     * Fetch the most recent conversation entries from the Messaging API
+     * @returns {Promise<Array>} Entries sorted oldest first
+     */
+    async fetchConversationHistory() {
+        const historyUrl = `${this._scrtUrl}/iamessage/api/v2/conversation/${this._conversationId}/entries`
+            + `?limit=${this.HISTORY_ENTRY_LIMIT}&direction=FromEnd`;
+
+        const response = await this._fetchWithAuth(historyUrl, { method: 'GET' });
+        if (!response.ok) {
+            const error = new Error(`Conversation history failed: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        const data = await response.json();
+        const entries = data.conversationEntries || [];
+
+        return entries.sort((a, b) => this._getEntryTimestamp(a) - this._getEntryTimestamp(b));
+    }
+
+    /**
+     * Rebuild the transcript from server entries, rendered with the current theme
+     * Entries already on screen (by identifier) are skipped, so this merges with local state
+     */
+    _rebuildMessagesFromHistory(entries) {
+        entries.forEach(entry => {
+            if (entry.identifier && this._renderedEntryIds.has(entry.identifier)) {
+                return;
+            }
+
+            // One of the user's messages still on screen - the server has it, so it was sent
+            const localMessage = entry.identifier && this.messages.find(msg => msg.apiMessageId === entry.identifier);
+            if (localMessage) {
+                this._renderedEntryIds.add(entry.identifier);
+                // The head of the outbox may be mid-send - _flushOutbox removes that one itself
+                const inFlight = this._isFlushingOutbox ? this._outbox[0] : null;
+                this._outbox = this._outbox.filter(item => item === inFlight || item.localId !== localMessage.id);
+                if (['queued', 'sending', 'failed'].includes(localMessage.deliveryStatus)) {
+                    this._setDeliveryStatus(localMessage.id, 'sent');
+                }
+                return;
+            }
+
+            try {
+                this._renderHistoryEntry(entry);
+            } catch {
+                // An entry that can't be read is left out rather than losing the whole history
+            }
+        });
+
+        // Entries fetched now land after the ones kept on screen - put them back in time order
+        this.messages = [...this.messages].sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    _renderHistoryEntry(entry) {
+        const payload = typeof entry.entryPayload === 'string' ? JSON.parse(entry.entryPayload) : (entry.entryPayload || {});
+        const role = entry.sender?.role;
+        const timestamp = this._getEntryTimestamp(entry);
+
+        if (entry.entryType === 'ParticipantChanged') {
+            (payload.entries || [])
+                .filter(change => change.participant?.role === 'Agent')
+                .forEach(change => {
+                    this.addSystemNotice(this._getParticipantNotice(change), timestamp);
+                    this._hasEscalated = this._hasEscalated || change.operation === 'add';
+                    this._humanAgentPresent = change.operation === 'add';
+                });
+            if (entry.identifier) {
+                this._renderedEntryIds.add(entry.identifier);
+            }
+            return;
+        }
+
+        if (entry.entryType !== 'Message' || !payload.abstractMessage) {
+            return;
+        }
+
+        const abstractMessage = payload.abstractMessage;
+        const attachments = this._parseAttachments(abstractMessage);
+
+        if (role === 'Chatbot' || role === 'Agent') {
+            const choices = parseChoices(abstractMessage);
+            const form = this._parseForm(abstractMessage);
+            const citations = this._parseCitations(abstractMessage);
+            const messageText = abstractMessage.staticContent?.text || choices?.text || form?.title || '';
+            if (messageText || choices || form || attachments.length > 0) {
+                this.addMessage(markdownToHtml(messageText), 'agent', true, {
+                    choices,
+                    form,
+                    attachments,
+                    citations,
+                    author: { name: entry.senderDisplayName, role },
+                    timestamp,
+                    entryId: entry.identifier
+                });
+            }
+        } else if (role === 'EndUser') {
+            if (abstractMessage.messageType === 'ChoicesResponseMessage') {
+                this._renderHistoryChoiceResponse(abstractMessage, timestamp, entry.identifier);
+                return;
+            }
+            if (abstractMessage.messageType === 'FormResponseMessage') {
+                this._renderHistoryFormResponse(abstractMessage, entry.identifier);
+                return;
+            }
+
+            const messageText = abstractMessage.staticContent?.text || '';
+            if (messageText || attachments.length > 0) {
+                this.addMessage(messageText, 'user', false, {
+                    attachments,
+                    timestamp,
+                    entryId: entry.identifier
+                });
+            }
+        }
+    }
+
+    /**
+     * Show the user's earlier pick as a bubble and mark the original choices as used
+     */
+    _renderHistoryChoiceResponse(abstractMessage, timestamp, entryId) {
+        const selectedId = abstractMessage.choicesResponse?.selectedOptions?.[0]?.optionIdentifier;
+        const choiceMessage = this.messages.find(msg => msg.choicesData?.messageId === abstractMessage.inReplyToMessageId);
+        const option = choiceMessage?.choicesData.options.find(opt => opt.optionIdentifier === selectedId);
+
+        if (choiceMessage && option) {
+            this.messages = setChoiceSelection(this.messages, choiceMessage.id, selectedId);
+        }
+        this.addMessage(option ? option.title : (abstractMessage.choicesResponse?.text || ''), 'user', false, {
+            timestamp,
+            entryId
+        });
+    }
+
+    /**
+     * A form the user already sent - show it as submitted, with the values they entered
+     */
+    _renderHistoryFormResponse(abstractMessage, entryId) {
+        if (entryId) {
+            this._renderedEntryIds.add(entryId);
+        }
+        const formMessage = this.messages.find(msg => msg.formData?.messageId === abstractMessage.inReplyToMessageId);
+        if (!formMessage) {
+            return;
+        }
+        const values = {};
+        (abstractMessage.formResponse?.inputValues || []).forEach(inputValue => {
+            values[inputValue.id] = inputValue.value;
+        });
+        this._setFormState(formMessage.id, { status: 'submitted', values });
+    }
+
+    _getEntryTimestamp(entry) {
+        return entry.clientTimestamp || entry.transcriptedTimestamp || 0;
+    }
+
+    // ==================== QUEUE / WAIT TIME ====================
+
+    /**
+     * Routing placed the conversation in a human queue - show position and estimated wait
+     * @param {Object} payload - RoutingResult entry payload
+     */
+    _handleRoutingResult(payload) {
+        const estimate = payload.estimatedWaitTime;
+        const failed = payload.failureType && payload.failureType !== 'None';
+        // A human agent already picked up - late routing entries shouldn't bring the banner back
+        if (failed || !estimate || this._humanAgentPresent) {
+            return;
+        }
+
+        const position = Number(estimate.positionInQueue) || 0;
+        const waitSeconds = Number(estimate.estimatedWaitTimeInSeconds);
+
+        this._queueStatus = {
+            position: position,
+            estimatedWaitSeconds: Number.isNaN(waitSeconds) || waitSeconds < 0 ? null : waitSeconds
+        };
+
+        // Typing dots would suggest someone is already answering
+        this.isAgentTyping = false;
+
+        if (!this._queueWaitStartedAt) {
+            this._queueWaitStartedAt = Date.now();
+            this._queueElapsedSeconds = 0;
+        }
+        this._startQueueTimer();
+        this._saveSession();
+    }
+
+    /**
+     * Stop waiting (agent joined) and return the total seconds spent in the queue
+     */
+    _endQueueWait() {
+        if (!this._queueWaitStartedAt) {
+            return null;
+        }
+
+        this._queueWaitSeconds = Math.round((Date.now() - this._queueWaitStartedAt) / 1000);
+        this._queueWaitStartedAt = null;
+        this._queueStatus = null;
+        this._clearQueueTimer();
+        return this._queueWaitSeconds;
+    }
+
+    /**
+     * Seconds spent waiting so far, for SESSION_ENDED reporting
+     */
+    _getQueueWaitSeconds() {
+        if (this._queueWaitStartedAt) {
+            return Math.round((Date.now() - this._queueWaitStartedAt) / 1000);
+        }
+        return this._queueWaitSeconds;
+    }
+
+    _startQueueTimer() {
+        if (this._queueTimer) {
+            return;
+        }
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this._queueTimer = setInterval(() => {
+            this._queueElapsedSeconds = Math.floor((Date.now() - this._queueWaitStartedAt) / 1000);
+        }, 1000);
+    }
+
+    _clearQueueTimer() {
+        if (this._queueTimer) {
+            clearInterval(this._queueTimer);
+            this._queueTimer = null;
+        }
+    }
+
+    /**
+     * The user would rather not watch the queue - the conversation stays open
+     * and an agent replies here (or on their next visit) when one is free
+     */
+    handleLeaveMessageClick() {
+        this._leftMessageInQueue = true;
+        this._clearQueueTimer();
+        this.addSystemNotice(LABELS.leftMessageNotice);
+        this._saveSession();
+
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        setTimeout(() => {
+            const input = this.template.querySelector('.chat-input');
+            if (input) {
+                input.focus();
+            }
+        }, 0);
+    }
+
+    /**
+     * Close SSE connection by aborting the fetch request
+     */
+    closeSSEConnection() {
+        this._clearSSEReconnectTimeout();
+        this._sseReconnectAttempts = 0;
+        this._sseTokenRenewed = false;
+        this._connectionStatus = 'connected';
+
+        if (this._sseAbortController) {
+            this._sseAbortController.abort();
+            this._sseAbortController = null;
+        }
+    }
+
+    /**
+     * Send a message through the Messaging API
+     */
+    async sendMessageToApi(messageText, isNewSession = false, messageId = this.generateUUID()) {
+        console.log('[WebHost] API SEND:', {
+            conversationId: this._conversationId,
+            messagePreview: messageText.substring(0, 50) + (messageText.length > 50 ? '...' : ''),
+            isNewSession
+        });
+
+        return this._postMessageToApi({
+            id: messageId,
+            messageType: 'StaticContentMessage',
+            staticContent: { formatType: 'Text', text: messageText }
+        }, isNewSession);
+    }
+
+    /**
+     * Send the user's selection for a ChoicesMessage (buttons / quick replies)
+     * @param {String} inReplyToMessageId - Id of the agent's ChoicesMessage
+     * @param {Object} option - The selected option ({ optionIdentifier, title })
+     */
+    async sendChoiceResponseToApi(inReplyToMessageId, option) {
+        return this._postMessageToApi({
+            id: this.generateUUID(),
+            messageType: 'ChoicesResponseMessage',
+            inReplyToMessageId: inReplyToMessageId,
+            choicesResponse: {
+                choicesResponseType: 'Selection',
+                selectedOptions: [{ optionIdentifier: option.optionIdentifier }]
+            }
+        }, false);
+    }
+
+    /**
+     * Send the values the user entered into a FormMessage
+     * @param {String} inReplyToMessageId - Id of the agent's FormMessage
+     * @param {Object} form - The parsed form (from _parseForm)
+     * @param {Object} values - Entered values keyed by field id
+     */
+    async sendFormResponseToApi(inReplyToMessageId, form, values) {
+        return this._postMessageToApi({
+            id: this.generateUUID(),
+            messageType: 'FormResponseMessage',
+            inReplyToMessageId: inReplyToMessageId,
+            formResponse: {
+                formResponseFormat: 'Inputs',
+                inputValues: form.fields.map(field => ({
+                    id: field.id,
+                    type: field.responseType,
+                    value: values[field.id]
+                }))
+            }
+        }, false);
+    }
+
+    /**
+     * Upload a file to the conversation as an attachment message
+     * @param {File} file - The file picked, dropped or pasted by the user
+     */
+    async sendFileToApi(file) {
+        if (!this._accessToken || !this._conversationId) {
+            throw new Error('Not connected to messaging service');
+        }
+
+        const fileUrl = `${this._scrtUrl}/iamessage/api/v2/conversation/${this._conversationId}/file`;
+
+        // Multipart body - the browser sets the Content-Type boundary itself
+        const formData = new FormData();
+        formData.append('messageEntry', JSON.stringify({
+            esDeveloperName: this.deploymentDeveloperName,
+            message: {
+                id: this.generateUUID(),
+                fileId: this.generateUUID(),
+                text: ''
+            },
+            isNewMessagingSession: false,
+            language: getApiLanguage()
+        }));
+        formData.append('fileData', file, file.name);
+
+        const response = await this._fetchWithAuth(fileUrl, {
+            method: 'POST',
+            body: formData
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Send file failed: ${response.status} - ${errorText}`);
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * POST a message entry to the conversation
+     */
+    async _postMessageToApi(message, isNewSession = false) {
+        if (!this._accessToken || !this._conversationId) {
+            throw new Error('Not connected to messaging service');
+        }
+
+        const messageUrl = `${this._scrtUrl}/iamessage/api/v2/conversation/${this._conversationId}/message`;
+
+        const response = await this._fetchWithAuth(messageUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                message: message,
+                esDeveloperName: this.deploymentDeveloperName,
+                isNewMessagingSession: isNewSession,
+                language: getApiLanguage()
+            })
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Send message failed: ${response.status} - ${errorText}`);
+        }
 
         const responseText = await response.text();
         if (!responseText) return { success: true };
 
         try {
             return JSON.parse(responseText);
-        } catch (e) {
+        } catch {
             return { success: true };
         }
     }
 
+    /**
+     * Close the conversation on the Messaging server so it doesn't linger in queues and reports
+     * Transient failures (network, 429, 5xx) are retried with backoff; an expired token is renewed once
+     * @param {Object} conversation - { conversationId, accessToken, scrtUrl } captured before local state is reset
+     * @returns {Promise<Boolean>} true once the server has confirmed the conversation is closed
+     */
+    async closeConversationOnServer({ conversationId, accessToken, scrtUrl }) {
+        if (!conversationId || !accessToken || !scrtUrl) {
+            return false;
+        }
+
+        const closeUrl = `${scrtUrl}/iamessage/api/v2/conversation/${conversationId}`
+            + `?esDeveloperName=${encodeURIComponent(this.deploymentDeveloperName)}`;
+        let token = accessToken;
+        let hasRenewedToken = false;
+
+        for (let attempt = 1; attempt <= this.CLOSE_CONVERSATION_MAX_ATTEMPTS; attempt++) {
+            try {
+                // eslint-disable-next-line no-await-in-loop
+                let response = await this._sendCloseConversation(closeUrl, token);
+
+                // The session is already torn down, so renew the captured token rather than the live one
+                if (response.status === 401 && !hasRenewedToken) {
+                    hasRenewedToken = true;
+                    // eslint-disable-next-line no-await-in-loop
+                    const renewedToken = await this._renewCapturedToken(scrtUrl, token);
+                    if (renewedToken) {
+                        token = renewedToken;
+                        // eslint-disable-next-line no-await-in-loop
+                        response = await this._sendCloseConversation(closeUrl, token);
+                    }
+                }
+
+                // 404 means the server already closed it
+                if (response.ok || response.status === 404) {
+                    return true;
+                }
+
+                // Other client errors won't succeed on a retry
+                if (response.status !== 429 && response.status < 500) {
+                    return false;
+                }
+            } catch {
+                // Network error - retried below
+            }
+
+            if (attempt < this.CLOSE_CONVERSATION_MAX_ATTEMPTS) {
+                // eslint-disable-next-line no-await-in-loop
+                await this._delay(this.CLOSE_CONVERSATION_RETRY_DELAY_MS * Math.pow(2, attempt - 1));
+            }
+        }
+
+        return false;
+    }
+
+    _sendCloseConversation(closeUrl, token) {
+        return fetch(closeUrl, {
+            method: 'DELETE',
+            headers: {
+                'Authorization': `Bearer ${token}`
+            }
+        });
+    }
+
+    /**
+     * Renew a token captured from a session that has already been torn down
+     * Unlike renewAccessToken this leaves the component's token state alone
+     * @param {String} scrtUrl - SCRT URL of the ended session
+     * @param {String} accessToken - The ended session's token
+     * @returns {Promise<String>} The renewed token, or null if it couldn't be renewed
+     */
+    async _renewCapturedToken(scrtUrl, accessToken) {
+        try {
+            const response = await fetch(`${scrtUrl}/iamessage/api/v2/authorization/continuation-access-token`, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`
+                }
+            });
+            if (!response.ok) {
+                return null;
+            }
+            const tokenResponse = await response.json();
+            return tokenResponse.accessToken || null;
+        } catch {
+            return null;
+        }
+    }
+
+    _delay(ms) {
+        return new Promise(resolve => {
+            // eslint-disable-next-line @lwc/lwc/no-async-operation
+            setTimeout(resolve, ms);
+        });
+    }
+
     /**
      * Generate a UUID for conversation/message IDs
      */
@@ -952,6 +2623,7 @@ export default class AgentforceWebHost extends LightningElement {
 
     handleInputChange(event) {
         this.inputMessage = event.target.value;
+        this._updateUserTyping();
     }
 
     handleKeyUp(event) {
@@ -970,6 +2642,8 @@ export default class AgentforceWebHost extends LightningElement {
             return;
         }
 
+        this._requestNotificationPermission();
+
         // If on welcome screen, initialize and transition to chat
         if (this._screenState === 'welcome') {
             const initialized = await this.initializeMessagingApi();
@@ -1007,13 +2681,19 @@ export default class AgentforceWebHost extends LightningElement {
             this._saveSession();
         }
 
-        // Add user message to UI
-        this.addMessage(messageText, 'user');
-        this.inputMessage = '';
-
         // Track if this is the first message BEFORE incrementing
         const isFirstMessage = this.messageCount === 0;
 
+        // Add user message to UI - the id is reused for the API so receipts can find the bubble
+        const apiMessageId = this.generateUUID();
+        const localId = this.addMessage(messageText, 'user', false, {
+            deliveryStatus: 'sending',
+            apiMessageId,
+            isNewSession: isFirstMessage
+        });
+        this.inputMessage = '';
+        this._stopUserTyping();
+
         this.messageCount++;
 
         // Publish message sent
@@ -1021,74 +2701,1076 @@ export default class AgentforceWebHost extends LightningElement {
             messageIndex: this.messageCount
         });
 
-        // Show typing indicator
-        this.isAgentTyping = true;
+        this._outbox.push({ localId, apiMessageId, text: messageText, isNewSession: isFirstMessage });
+        this._saveSession();
+        this._flushOutbox();
+    }
+
+    // ==================== TYPING INDICATOR & READ RECEIPTS ====================
+
+    get _typingIndicatorEnabled() {
+        return this._engagementConfig.enableTypingIndicator ?? this.enableTypingIndicator;
+    }
+
+    get _readReceiptsEnabled() {
+        return this._engagementConfig.enableReadReceipts ?? this.enableReadReceipts;
+    }
+
+    _canSendConversationEntries() {
+        return this.isConversationActive && !!this._conversationId && !!this._accessToken && !this._conversationEnded;
+    }
+
+    /**
+     * Send TypingStarted once per burst of typing, and TypingStopped after a pause
+     */
+    _updateUserTyping() {
+        if (!this._typingIndicatorEnabled || !this._canSendConversationEntries()) {
+            return;
+        }
+
+        if (!this.inputMessage) {
+            this._stopUserTyping();
+            return;
+        }
+
+        if (!this._isUserTyping) {
+            this._isUserTyping = true;
+            this.sendTypingIndicatorToApi(true);
+        }
+
+        this._clearTypingStopTimeout();
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this._typingStopTimeout = setTimeout(() => {
+            this._stopUserTyping();
+        }, this.TYPING_STOP_DELAY_MS);
+    }
+
+    _stopUserTyping() {
+        this._clearTypingStopTimeout();
+        if (!this._isUserTyping) {
+            return;
+        }
+
+        this._isUserTyping = false;
+        if (this._canSendConversationEntries()) {
+            this.sendTypingIndicatorToApi(false);
+        }
+    }
+
+    _clearTypingStopTimeout() {
+        if (this._typingStopTimeout) {
+            clearTimeout(this._typingStopTimeout);
+            this._typingStopTimeout = null;
+        }
+    }
+
+    /**
+     * Send a typing started/stopped entry - best effort, failures are ignored
+     */
+    async sendTypingIndicatorToApi(isTyping) {
+        const entryUrl = `${this._scrtUrl}/iamessage/api/v2/conversation/${this._conversationId}/entry`;
+
+        try {
+            await this._fetchWithAuth(entryUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    entryType: isTyping ? 'TypingStartedIndicator' : 'TypingStoppedIndicator',
+                    id: this.generateUUID()
+                })
+            });
+        } catch {
+            // The agent just doesn't see the indicator
+        }
+    }
+
+    /**
+     * Watch agent messages inside the messages container and acknowledge them once seen
+     */
+    _observeAgentMessages() {
+        if (!this._readReceiptsEnabled || !this._canSendConversationEntries() || typeof IntersectionObserver === 'undefined') {
+            return;
+        }
+
+        const container = this.refs.messagesContainer;
+        if (!container) {
+            return;
+        }
+
+        // The container is re-created when the stencil toggles - observe against the current one
+        if (this._readObserverRoot !== container) {
+            this._disconnectReadObserver();
+            this._readObserver = new IntersectionObserver(entries => this._handleMessagesVisible(entries), {
+                root: container,
+                threshold: 0.6
+            });
+            this._readObserverRoot = container;
+        }
+
+        this.template.querySelectorAll('[data-entry-id]').forEach(element => {
+            if (!this._acknowledgedEntryIds.has(element.dataset.entryId)) {
+                this._readObserver.observe(element);
+            }
+        });
+    }
+
+    _handleMessagesVisible(entries) {
+        if (document.visibilityState !== 'visible' || (this.isFloating && !this._isPanelOpen)) {
+            return;
+        }
+
+        entries
+            .filter(entry => entry.isIntersecting)
+            .forEach(entry => {
+                const entryId = entry.target.dataset.entryId;
+                this._readObserver.unobserve(entry.target);
+                if (entryId && !this._acknowledgedEntryIds.has(entryId)) {
+                    this._acknowledgedEntryIds.add(entryId);
+                    this._pendingReadAcks.push(entryId);
+                }
+            });
+
+        // Batch acknowledgements that become visible together (e.g. after a scroll)
+        if (this._pendingReadAcks.length > 0 && !this._readAckTimeout) {
+            // eslint-disable-next-line @lwc/lwc/no-async-operation
+            this._readAckTimeout = setTimeout(() => {
+                this._readAckTimeout = null;
+                const entryIds = this._pendingReadAcks;
+                this._pendingReadAcks = [];
+                this.sendReadAcknowledgementsToApi(entryIds);
+            }, this.READ_RECEIPT_BATCH_DELAY_MS);
+        }
+    }
+
+    /**
+     * Tell the agent which of their messages the user has read - best effort
+     */
+    async sendReadAcknowledgementsToApi(entryIds) {
+        if (entryIds.length === 0 || !this._canSendConversationEntries()) {
+            return;
+        }
+
+        const ackUrl = `${this._scrtUrl}/iamessage/api/v2/conversation/${this._conversationId}/acknowledge-entries`;
+
+        try {
+            await this._fetchWithAuth(ackUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    acks: entryIds.map(entryId => ({ type: 'Read', conversationEntryId: entryId }))
+                })
+            });
+        } catch {
+            // The agent's messages just stay at delivered
+        }
+    }
+
+    _clearReadAckTimeout() {
+        if (this._readAckTimeout) {
+            clearTimeout(this._readAckTimeout);
+            this._readAckTimeout = null;
+        }
+    }
+
+    _disconnectReadObserver() {
+        if (this._readObserver) {
+            this._readObserver.disconnect();
+            this._readObserver = null;
+            this._readObserverRoot = null;
+        }
+    }
+
+    /**
+     * Messages that scrolled into view while the tab was hidden weren't acknowledged -
+     * a fresh observer reports everything currently visible
+     */
+    handleVisibilityChange() {
+        if (document.visibilityState !== 'visible') {
+            return;
+        }
+        if (this._readReceiptsEnabled) {
+            this._disconnectReadObserver();
+            this._observeAgentMessages();
+        }
+        if (!this._isAwayFromChat()) {
+            this._clearReplyNotifications();
+        }
+    }
+
+    // ==================== OUTGOING QUEUE ====================
+
+    /**
+     * Send queued messages in order. Stops while offline and resumes from handleOnline;
+     * a message that fails for any other reason is marked failed and the rest carry on
+     */
+    async _flushOutbox() {
+        if (this._isFlushingOutbox) {
+            return;
+        }
+        this._isFlushingOutbox = true;
+
+        try {
+            while (this._outbox.length > 0 && this.isConversationActive) {
+                const item = this._outbox[0];
+
+                if (!navigator.onLine) {
+                    this._setDeliveryStatus(item.localId, 'queued');
+                    return;
+                }
+
+                this._setDeliveryStatus(item.localId, 'sending');
+
+                try {
+                    // eslint-disable-next-line no-await-in-loop
+                    await this.sendMessageToApi(item.text, item.isNewSession, item.apiMessageId);
+                    this._outbox.shift();
+                    this._setDeliveryStatus(item.localId, 'sent');
+
+                    // Show typing indicator until the agent replies
+                    this.isAgentTyping = true;
+                    this._saveSession();
+                } catch (error) {
+                    // Session expired during the send - the error screen is already showing
+                    if (!this.isConversationActive) {
+                        return;
+                    }
+
+                    // Network drop - keep it (and everything behind it) queued for handleOnline
+                    if (!navigator.onLine || error instanceof TypeError) {
+                        this._outbox.forEach(queued => this._setDeliveryStatus(queued.localId, 'queued'));
+                        return;
+                    }
+
+                    this._outbox.shift();
+                    this._setDeliveryStatus(item.localId, 'failed');
+                    this._saveSession();
+                }
+            }
+        } finally {
+            this._isFlushingOutbox = false;
+        }
+    }
+
+    handleRetryMessage(event) {
+        const localId = event.currentTarget.dataset.id;
+        const message = this.messages.find(msg => msg.id === localId);
+        if (!message || message.deliveryStatus !== 'failed') {
+            return;
+        }
+
+        if (this._failedUploads.has(localId)) {
+            this._attachmentError = null;
+            this._uploadAttachment(localId, this._failedUploads.get(localId)).then(sent => {
+                if (sent) {
+                    this.isAgentTyping = true;
+                    this._saveSession();
+                }
+            });
+            return;
+        }
+
+        this._outbox.push({
+            localId,
+            apiMessageId: message.apiMessageId,
+            text: message.text,
+            isNewSession: message.isNewSession
+        });
+        this._setDeliveryStatus(localId, 'sending');
+        this._flushOutbox();
+    }
+
+    handleDeleteMessage(event) {
+        const localId = event.currentTarget.dataset.id;
+        this._failedUploads.delete(localId);
+        this.messages = this.messages.filter(msg => msg.id !== localId);
+        this._saveSession();
+    }
+
+    /**
+     * A delivery or read receipt arrived for one of the user's messages
+     */
+    _handleAcknowledgement(entryIdentifier, status) {
+        const message = this.messages.find(msg => msg.apiMessageId && msg.apiMessageId === entryIdentifier);
+        // Never downgrade a read message back to delivered
+        if (!message || message.deliveryStatus === 'read') {
+            return;
+        }
+        this._setDeliveryStatus(message.id, status);
+    }
+
+    _setDeliveryStatus(localId, status) {
+        this.messages = this.messages.map(msg => {
+            return msg.id === localId ? { ...msg, ...this._buildDeliveryState(status) } : msg;
+        });
+    }
+
+    /**
+     * Template state for the delivery indicator under a user bubble
+     * @param {String} status - 'queued', 'sending', 'sent', 'delivered', 'read' or 'failed' (null for none)
+     */
+    _buildDeliveryState(status) {
+        const states = {
+            queued: { icon: 'utility:offline', label: LABELS.deliveryQueued },
+            sending: { icon: 'utility:clock', label: LABELS.deliverySending },
+            sent: { icon: 'utility:check', label: LABELS.deliverySent },
+            delivered: { icon: 'utility:success', label: LABELS.deliveryDelivered },
+            read: { icon: 'utility:preview', label: LABELS.deliveryRead },
+            failed: { icon: 'utility:error', label: LABELS.deliveryFailed }
+        };
+        const state = states[status];
+
+        return {
+            deliveryStatus: status || null,
+            hasDeliveryStatus: !!state,
+            deliveryIcon: state?.icon,
+            deliveryLabel: state?.label,
+            deliveryClass: `delivery-status ${status || ''}`,
+            isFailed: status === 'failed'
+        };
+    }
+
+    /**
+     * Handle a click on a choice chip (button or quick reply) under an agent message
+     */
+    async handleChoiceClick(event) {
+        const { messageId, optionId } = event.currentTarget.dataset;
+        const message = this.messages.find(msg => msg.id === messageId);
+        if (!message || message.choicesUsed || !this._accessToken) {
+            return;
+        }
+
+        const option = message.choicesData.options.find(opt => opt.optionIdentifier === optionId);
+        if (!option) {
+            return;
+        }
+
+        // Disable the choices straight away so a double click can't send twice
+        this.messages = setChoiceSelection(this.messages, messageId, optionId);
+        this.addMessage(option.title, 'user');
+        this.messageCount++;
+
+        this.publishToChannel('MESSAGE_SENT', {
+            messageIndex: this.messageCount,
+            isChoiceResponse: true
+        });
+
+        this.isAgentTyping = true;
+
+        try {
+            await this.sendChoiceResponseToApi(message.choicesData.messageId, option);
+            this._saveSession();
+        } catch {
+            this.isAgentTyping = false;
+            // Session expired during the send - the error screen is already showing
+            if (!this.isConversationActive) {
+                return;
+            }
+            // Re-enable the choices so the user can pick again
+            this.messages = setChoiceSelection(this.messages, messageId, null);
+            this.addMessage(LABELS.errorSendSelection, 'agent');
+        }
+    }
+
+    // ==================== ATTACHMENT HANDLERS ====================
+
+    handleAttachClick() {
+        const fileInput = this.template.querySelector('.attachment-input');
+        if (fileInput) {
+            fileInput.click();
+        }
+    }
+
+    handleFileSelected(event) {
+        const files = Array.from(event.target.files || []);
+        // Reset so picking the same file again still fires a change event
+        event.target.value = '';
+        this._sendAttachments(files);
+    }
+
+    handlePaste(event) {
+        if (!this.showAttachButton) {
+            return;
+        }
+
+        const files = Array.from(event.clipboardData?.files || []);
+        if (files.length > 0) {
+            event.preventDefault();
+            this._sendAttachments(files);
+        }
+    }
+
+    handleDragOver(event) {
+        if (!this.showAttachButton || this.isAttachDisabled) {
+            return;
+        }
+
+        const types = Array.from(event.dataTransfer?.types || []);
+        if (types.includes('Files')) {
+            event.preventDefault();
+            this._isDragActive = true;
+        }
+    }
+
+    handleDragLeave(event) {
+        // Ignore leave events fired when moving between child elements
+        if (event.relatedTarget && event.currentTarget.contains(event.relatedTarget)) {
+            return;
+        }
+        this._isDragActive = false;
+    }
+
+    handleDrop(event) {
+        if (!this._isDragActive) {
+            return;
+        }
+
+        event.preventDefault();
+        this._isDragActive = false;
+        this._sendAttachments(Array.from(event.dataTransfer?.files || []));
+    }
+
+    handleDismissAttachmentError() {
+        this._attachmentError = null;
+    }
+
+    handleAttachmentImageClick(event) {
+        const { url, name } = event.currentTarget.dataset;
+        this._lightboxImage = { url, name };
+    }
+
+    handleCloseLightbox() {
+        this._lightboxImage = null;
+    }
+
+    handleLightboxKeyDown(event) {
+        if (event.key === 'Escape') {
+            this._lightboxImage = null;
+        }
+    }
+
+    // ==================== MESSAGE FEEDBACK ====================
+
+    /**
+     * Thumbs up / down on an agent reply - publishes MESSAGE_FEEDBACK straight away and
+     * opens the optional comment box. Changing the rating publishes again; the latest
+     * rating for a message is the one that counts.
+     */
+    handleFeedbackClick(event) {
+        const { messageId, rating } = event.currentTarget.dataset;
+        const message = this.messages.find(msg => msg.id === messageId);
+        if (!message || message.feedbackRating === rating) {
+            return;
+        }
+
+        this.messages = setFeedbackState(this.messages, messageId, { rating, commentStatus: 'open' });
+        this.publishToChannel('MESSAGE_FEEDBACK', buildFeedbackEvent(message, this.messages, rating));
+    }
+
+    handleFeedbackCommentSubmit(event) {
+        const messageId = event.currentTarget.dataset.messageId;
+        const message = this.messages.find(msg => msg.id === messageId);
+        const textarea = this.template.querySelector(`[data-feedback-comment-id="${messageId}"]`);
+        const comment = (textarea?.value || '').trim();
+        if (!message || !comment) {
+            return;
+        }
+
+        this.messages = setFeedbackState(this.messages, messageId, { rating: message.feedbackRating, commentStatus: 'sent' });
+        this.publishToChannel('MESSAGE_FEEDBACK', buildFeedbackEvent(message, this.messages, message.feedbackRating, comment));
+    }
+
+    handleFeedbackCommentCancel(event) {
+        const messageId = event.currentTarget.dataset.messageId;
+        const message = this.messages.find(msg => msg.id === messageId);
+        if (message) {
+            this.messages = setFeedbackState(this.messages, messageId, { rating: message.feedbackRating, commentStatus: null });
+        }
+    }
+
+    // ==================== CITATION SOURCES ====================
+
+    /**
+     * Delegated click handler for links inside a message bubble - publishes LINK_CLICK
+     * and leaves the link to open as normal
+     */
+    handleMessageBubbleClick(event) {
+        const link = getClickedLink(event);
+        if (!link) {
+            return;
+        }
+        const messageId = event.currentTarget.dataset.messageId;
+        const href = link.getAttribute('href') || '';
+
+        this.publishToChannel('LINK_CLICK', {
+            url: link.href || href,
+            linkText: (link.textContent || '').trim(),
+            messageIndex: this._getMessageIndex(messageId),
+            isExternal: isExternalUrl(link.href || href),
+            linkSource: 'message'
+        });
+    }
+
+    handleSourcesClick(event) {
+        this._sourcesDrawer = { messageId: event.currentTarget.dataset.messageId, activeNumber: null };
+    }
+
+    /**
+     * A numbered source marker under an answer - open the drawer at that source
+     * The markers are rendered by this template rather than inside the message HTML, so
+     * they stay clickable buttons with their own data attributes
+     */
+    handleCitationClick(event) {
+        const { messageId, number } = event.currentTarget.dataset;
+        this._sourcesDrawer = { messageId: messageId, activeNumber: Number(number) };
+    }
+
+    handleCloseSourcesDrawer() {
+        this._sourcesDrawer = null;
+    }
+
+    handleSourcesDrawerKeyDown(event) {
+        if (event.key === 'Escape') {
+            this._sourcesDrawer = null;
+        }
+    }
+
+    handleSourceLinkClick(event) {
+        const { url, title, number } = event.currentTarget.dataset;
+        this.publishToChannel('LINK_CLICK', {
+            url: url,
+            linkText: title,
+            messageIndex: this._getMessageIndex(this._sourcesDrawer?.messageId),
+            isExternal: isExternalUrl(url),
+            citationNumber: Number(number),
+            linkSource: 'citation'
+        });
+    }
+
+    /**
+     * 1-based position of a message in the transcript (0 if it is no longer there)
+     */
+    _getMessageIndex(messageId) {
+        return this.messages.findIndex(msg => msg.id === messageId) + 1;
+    }
+
+    /**
+     * Validate and upload files, adding a user bubble for each one
+     */
+    async _sendAttachments(files) {
+        if (files.length === 0 || this.isAttachDisabled) {
+            return;
+        }
+
+        this._attachmentError = null;
+        const validFiles = [];
+        files.forEach(file => {
+            const error = this._validateAttachment(file);
+            if (error) {
+                this._attachmentError = error;
+            } else {
+                validFiles.push(file);
+            }
+        });
+
+        if (validFiles.length === 0) {
+            return;
+        }
+
+        this.isAgentTyping = true;
+        let anySent = false;
+
+        for (const file of validFiles) {
+            let previewUrl = null;
+            if (this._isImageType(file.type)) {
+                previewUrl = URL.createObjectURL(file);
+                this._objectUrls.push(previewUrl);
+            }
+
+            const localId = this.addMessage('', 'user', false, {
+                attachments: [
+                    this._buildAttachment({ name: file.name, mimeType: file.type, url: previewUrl, size: file.size })
+                ],
+                deliveryStatus: 'sending'
+            });
+
+            // Upload in order so the agent sees files the way they were added
+            // eslint-disable-next-line no-await-in-loop
+            const sent = await this._uploadAttachment(localId, file);
+            if (!this.isConversationActive) {
+                return;
+            }
+            anySent = anySent || sent;
+        }
+
+        if (anySent) {
+            this._saveSession();
+        } else {
+            this.isAgentTyping = false;
+        }
+    }
+
+    /**
+     * Upload the file behind one attachment bubble
+     * A failed upload marks the bubble failed, with retry, the same way the text outbox does
+     * @param {String} localId - The attachment bubble's message id
+     * @param {File} file - The file to send
+     * @returns {Boolean} True if the file was sent
+     */
+    async _uploadAttachment(localId, file) {
+        this._setDeliveryStatus(localId, 'sending');
+        try {
+            await this.sendFileToApi(file);
+        } catch {
+            if (this.isConversationActive) {
+                this._failedUploads.set(localId, file);
+                this._setDeliveryStatus(localId, 'failed');
+                this._attachmentError = LABELS.errorUploadFile;
+            }
+            return false;
+        }
+
+        this._failedUploads.delete(localId);
+        this._setDeliveryStatus(localId, 'sent');
+        this.messageCount++;
+        this.publishToChannel('MESSAGE_SENT', {
+            messageIndex: this.messageCount,
+            hasAttachment: true,
+            attachmentType: file.type
+        });
+        return true;
+    }
+
+    /**
+     * Check a file against the configured size and type limits
+     * @returns {String} An error message, or null if the file can be sent
+     */
+    _validateAttachment(file) {
+        const maxSizeMb = Number(this._attachmentConfig.maxAttachmentSizeMb ?? this.maxAttachmentSizeMb) || 5;
+        if (file.size > maxSizeMb * 1024 * 1024) {
+            return formatLabel(LABELS.attachmentTooLarge, file.name, maxSizeMb);
+        }
+        if (!this._isAllowedAttachmentType(file)) {
+            return formatLabel(LABELS.attachmentTypeNotAllowed, file.name);
+        }
+        return null;
+    }
+
+    /**
+     * Match a file against allowedAttachmentTypes (same syntax as the input accept attribute)
+     */
+    _isAllowedAttachmentType(file) {
+        const rules = this.attachmentAccept
+            .split(',')
+            .map(rule => rule.trim().toLowerCase())
+            .filter(rule => rule);
+
+        if (rules.length === 0) {
+            return true;
+        }
+
+        const fileName = (file.name || '').toLowerCase();
+        const fileType = (file.type || '').toLowerCase();
+        return rules.some(rule => {
+            if (rule.startsWith('.')) {
+                return fileName.endsWith(rule);
+            }
+            if (rule.endsWith('/*')) {
+                return fileType.startsWith(rule.slice(0, -1));
+            }
+            return fileType === rule;
+        });
+    }
+
+    _isImageType(mimeType) {
+        return (mimeType || '').toLowerCase().startsWith('image/');
+    }
+
+    _revokeObjectUrls() {
+        this._objectUrls.forEach(url => URL.revokeObjectURL(url));
+        this._objectUrls = [];
+    }
+
+    /**
+     * Validate and send an inline form
+     * FORM_SUBMIT carries the field names only - entered values never leave the conversation
+     */
+    async handleFormSubmit(event) {
+        const messageId = event.currentTarget.dataset.messageId;
+        const message = this.messages.find(msg => msg.id === messageId);
+        if (!message || message.formLocked || !this._accessToken) {
+            return;
+        }
+
+        const inputs = [...this.template.querySelectorAll(`[data-form-message-id="${messageId}"]`)];
+        const isValid = inputs.reduce((valid, input) => input.reportValidity() && valid, true);
+        if (!isValid) {
+            return;
+        }
+
+        const values = {};
+        inputs.forEach(input => {
+            const field = message.formData.fields.find(f => f.id === input.dataset.fieldId);
+            if (field) {
+                values[field.id] = field.type === 'checkbox' ? input.checked : input.value;
+            }
+        });
+
+        // Lock the form straight away so a double click can't send twice
+        this._setFormState(messageId, { status: 'submitting', values });
+        this.isAgentTyping = true;
+
+        try {
+            await this.sendFormResponseToApi(message.formData.messageId, message.formData, values);
+        } catch {
+            this.isAgentTyping = false;
+            if (!this.isConversationActive) {
+                return;
+            }
+            // Unlock the form with what was entered so the user can send it again
+            this._setFormState(messageId, { status: null, values });
+            this.addMessage(LABELS.errorSubmitForm, 'agent');
+            return;
+        }
+
+        // Only count the response once the server has it, so a failed send isn't tracked twice
+        this._setFormState(messageId, { status: 'submitted', values });
+        this.messageCount++;
+
+        this.publishToChannel('MESSAGE_SENT', {
+            messageIndex: this.messageCount,
+            isFormResponse: true
+        });
+        this.publishToChannel('FORM_SUBMIT', {
+            formId: message.formData.messageId,
+            fieldNames: message.formData.fields.map(field => field.name),
+            fieldCount: message.formData.fields.length,
+            messageIndex: this._getMessageIndex(messageId)
+        });
+
+        this._saveSession();
+    }
+
+    handleMenuClick() {
+        this._isMenuOpen = !this._isMenuOpen;
+        this._isExportMenuOpen = false;
+    }
+
+    handleCloseMenu() {
+        this._isMenuOpen = false;
+        this._isExportMenuOpen = false;
+    }
+
+    get isMenuOpen() {
+        return this._isMenuOpen;
+    }
+
+    get isExportMenuOpen() {
+        return this._isExportMenuOpen;
+    }
+
+    get exportMenuExpanded() {
+        return String(this._isExportMenuOpen);
+    }
+
+    get exportMenuIconName() {
+        return this._isExportMenuOpen ? 'utility:chevronup' : 'utility:chevrondown';
+    }
+
+    // Guests can't email transcripts - the server only sends them for logged-in users
+    get showEmailTranscript() {
+        const enabled = this._transcriptEmailConfig.enableTranscriptEmail ?? this.enableTranscriptEmail;
+        return enabled && !isGuest && this.hasDeploymentConfigured;
+    }
+
+    get transcriptFormatOptions() {
+        return [
+            { value: 'text', label: LABELS.transcriptFormatText },
+            { value: 'html', label: LABELS.transcriptFormatHtml },
+            { value: 'markdown', label: LABELS.transcriptFormatMarkdown },
+            { value: 'json', label: LABELS.transcriptFormatJson },
+            { value: 'print', label: LABELS.transcriptPrint }
+        ];
+    }
+
+    handleEndSessionClick() {
+        this._isMenuOpen = false;
+        if (this._conversationEnded) {
+            this._resetSessionState();
+            return;
+        }
+        this.endSession();
+    }
+
+    handleStartNewChat() {
+        this._resetSessionState();
+    }
+
+    handleDownloadTranscriptClick() {
+        this._isExportMenuOpen = !this._isExportMenuOpen;
+    }
+
+    handleTranscriptFormatClick(event) {
+        this._isMenuOpen = false;
+        this._isExportMenuOpen = false;
+        this._exportTranscript(event.currentTarget.dataset.format);
+    }
+
+    // ==================== TRANSCRIPT EMAIL ====================
+
+    get isEmailDialogOpen() {
+        return this._emailDialog !== null;
+    }
+
+    get emailDialogEmail() {
+        return this._emailDialog ? this._emailDialog.email : '';
+    }
+
+    get emailDialogError() {
+        return this._emailDialog ? this._emailDialog.error : null;
+    }
+
+    get isEmailSending() {
+        return !!this._emailDialog && this._emailDialog.status === 'sending';
+    }
+
+    get isEmailSent() {
+        return !!this._emailDialog && this._emailDialog.status === 'sent';
+    }
+
+    get emailSentText() {
+        return this._emailDialog ? formatLabel(LABELS.transcriptEmailSent, this._emailDialog.recipient) : '';
+    }
+
+    handleEmailTranscriptClick() {
+        this._isMenuOpen = false;
+        this._isExportMenuOpen = false;
+        this._emailDialog = { email: '', status: 'idle', recipient: null, error: null };
+    }
+
+    handleEmailInputChange(event) {
+        this._emailDialog = { ...this._emailDialog, email: event.target.value, error: null };
+    }
+
+    handleCloseEmailDialog() {
+        if (!this.isEmailSending) {
+            this._emailDialog = null;
+        }
+    }
+
+    handleEmailDialogKeyDown(event) {
+        if (event.key === 'Escape') {
+            this.handleCloseEmailDialog();
+        }
+    }
+
+    async handleEmailDialogSubmit(event) {
+        event.preventDefault();
+        if (!this._emailDialog || this.isEmailSending || this.messages.length === 0) {
+            return;
+        }
+        const input = this.template.querySelector('.email-dialog-input');
+        if (input && !input.reportValidity()) {
+            return;
+        }
+
+        const email = (this._emailDialog.email || '').trim();
+        this._emailDialog = { ...this._emailDialog, status: 'sending', error: null };
+
+        try {
+            const result = await emailTranscript({
+                deploymentDeveloperName: this.deploymentDeveloperName,
+                sessionId: this.currentSessionId,
+                recipientEmail: email,
+                transcriptJson: buildTranscript('json', this._getTranscriptOptions())
+            });
+
+            if (result.sent) {
+                this._emailDialog = { ...this._emailDialog, status: 'sent', recipient: result.recipient };
+                return;
+            }
+            this._emailDialog = {
+                ...this._emailDialog,
+                status: 'idle',
+                error: result.errorCode === 'INVALID_EMAIL' ? LABELS.errorInvalidEmail : LABELS.errorEmailTranscript
+            };
+        } catch {
+            this._emailDialog = { ...this._emailDialog, status: 'idle', error: LABELS.errorEmailTranscript };
+        }
+    }
+
+    // ==================== TRANSCRIPT FILES ====================
+
+    get showSaveTranscript() {
+        return this._transcriptSaveConfig.enableTranscriptSave ?? this.enableTranscriptSave;
+    }
+
+    get _saveTranscriptOnEndEnabled() {
+        return this._transcriptSaveConfig.saveTranscriptOnEnd ?? this.saveTranscriptOnEnd;
+    }
+
+    get transcriptSaveNotice() {
+        return this._transcriptSaveNotice;
+    }
+
+    get transcriptSaveNoticeClass() {
+        return this._transcriptSaveNotice && this._transcriptSaveNotice.isError
+            ? 'transcript-save-notice transcript-save-error'
+            : 'transcript-save-notice';
+    }
+
+    handleSaveTranscriptClick() {
+        this._isMenuOpen = false;
+        this._isExportMenuOpen = false;
+        this._saveTranscript(this.messages, this.currentSessionId, true);
+    }
+
+    handleDismissTranscriptSaveNotice() {
+        this._transcriptSaveNotice = null;
+    }
+
+    /**
+     * Save the transcript to Salesforce Files, linked to the session's activity record
+     * Saving a session again adds a new version to the same file
+     * @param {Array} messages - Messages to include
+     * @param {String} sessionId - Session the messages belong to
+     * @param {Boolean} showNotice - Tell the user how it went (on-demand saves only)
+     */
+    async _saveTranscript(messages, sessionId, showNotice) {
+        if (messages.length === 0 || (showNotice && this._isSavingTranscript)) {
+            return;
+        }
 
-        // Send to Messaging API
+        if (showNotice) {
+            this._isSavingTranscript = true;
+            this._transcriptSaveNotice = null;
+        }
+        let saved = false;
         try {
-            await this.sendMessageToApi(messageText, isFirstMessage);
-            // Save session after sending message successfully
-            this._saveSession();
-        } catch (error) {
-            this.isAgentTyping = false;
-            this.addMessage('Sorry, there was an error sending your message. Please try again.', 'agent');
+            const result = await saveTranscript({
+                sessionId: sessionId,
+                transcriptJson: buildTranscript('json', this._getTranscriptOptions(messages, sessionId))
+            });
+            saved = result.saved;
+        } catch {
+            // Reported as not saved below
+        }
+
+        // Only report back to the chat the save was made from
+        if (showNotice) {
+            this._isSavingTranscript = false;
+            if (sessionId === this.currentSessionId) {
+                this._transcriptSaveNotice = {
+                    text: saved ? LABELS.transcriptSaved : LABELS.errorSaveTranscript,
+                    isError: !saved
+                };
+            }
         }
     }
 
-    handleMenuClick() {
-        this._isMenuOpen = !this._isMenuOpen;
+    // ==================== END SCREEN ====================
+
+    get _csatSurveyEnabled() {
+        return this._csatConfig.enableCsatSurvey ?? this.enableCsatSurvey;
     }
 
-    handleCloseMenu() {
-        this._isMenuOpen = false;
+    handleCsatRatingClick(event) {
+        this._csatRating = parseInt(event.currentTarget.dataset.value, 10);
     }
 
-    get isMenuOpen() {
-        return this._isMenuOpen;
+    handleCsatCommentChange(event) {
+        this._csatComment = event.target.value;
     }
 
-    handleEndSessionClick() {
-        this._isMenuOpen = false;
-        this.endSession();
+    handleCsatSubmit() {
+        if (!this._csatRating || !this._endedSession || this._csatSubmitted) {
+            return;
+        }
+
+        const comment = this._csatComment.trim();
+        this._csatSubmitted = true;
+
+        // Published against the ended session so the tracker updates that session's record
+        this.publishToChannel('CSAT_SUBMITTED', {
+            score: this._csatRating,
+            comment: comment || null,
+            conversationId: this._endedSession.conversationId
+        }, this._endedSession.sessionId);
     }
 
-    handleDownloadTranscriptClick() {
-        this._isMenuOpen = false;
-        this._downloadTranscript();
+    /**
+     * Transcript details for c/agentforceTranscript
+     * @param {Array} messages - Messages to include (defaults to the current chat)
+     * @param {String} sessionId - Session the messages belong to
+     */
+    _getTranscriptOptions(messages = this.messages, sessionId = this.currentSessionId) {
+        return {
+            title: this.chatHeaderTitle,
+            sessionId: sessionId,
+            messages: messages,
+            colors: {
+                accent: this.sendButtonColor,
+                agentBubble: this.agentBubbleColor,
+                userBubble: this.userBubbleColor,
+                userText: this._getEffectiveUserTextColor()
+            }
+        };
+    }
+
+    handleEndScreenDownloadSelect(event) {
+        if (this._endedSession) {
+            this._exportTranscript(event.detail.value, this._endedSession.messages, this._endedSession.sessionId);
+        }
     }
 
     /**
-     * Generate and download chat transcript as a text file
+     * Export the chat transcript in the chosen format
+     * @param {String} format - 'text', 'html', 'markdown', 'json' or 'print'
+     * @param {Array} messages - Messages to include (defaults to the current chat)
+     * @param {String} sessionId - Session the messages belong to, used in the file name
      */
-    _downloadTranscript() {
-        if (this.messages.length === 0) {
+    _exportTranscript(format, messages = this.messages, sessionId = this.currentSessionId) {
+        if (messages.length === 0) {
             return;
         }
 
-        // Build transcript content
-        let transcript = `Chat Transcript - ${this.chatHeaderTitle}\n`;
-        transcript += `Session ID: ${this.currentSessionId}\n`;
-        transcript += `Date: ${new Date().toLocaleDateString()}\n`;
-        transcript += `${'='.repeat(50)}\n\n`;
+        const options = this._getTranscriptOptions(messages, sessionId);
+        if (format === 'print') {
+            // Pop-up blocked - fall back to the HTML file, which prints the same way
+            if (!printTranscript(options)) {
+                downloadTranscript('html', options);
+            }
+            return;
+        }
+        downloadTranscript(format, options);
+    }
 
-        for (const msg of this.messages) {
-            transcript += `[${msg.time}] ${msg.senderName}:\n`;
-            transcript += `${msg.text}\n\n`;
+    /**
+     * Browser came back online - reconnect immediately instead of waiting for the backoff
+     */
+    handleOnline() {
+        if (this._connectionStatus !== 'connected') {
+            this._reconnectNow();
         }
+        this._flushOutbox();
+    }
 
-        transcript += `${'='.repeat(50)}\n`;
-        transcript += `End of transcript - ${this.messages.length} messages`;
+    handleReconnectClick() {
+        this._reconnectNow();
+    }
 
-        // Create and trigger download
-        const blob = new Blob([transcript], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `chat-transcript-${new Date().toISOString().split('T')[0]}.txt`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
+    _reconnectNow() {
+        if (!this._conversationId || !this._accessToken) {
+            return;
+        }
+        this._clearSSEReconnectTimeout();
+        this._sseReconnectAttempts = 0;
+        this._sseTokenRenewed = false;
+        this._connectionStatus = 'reconnecting';
+        this.subscribeToSSE();
     }
 
     handleRetry() {
@@ -1100,8 +3782,34 @@ export default class AgentforceWebHost extends LightningElement {
 
     // ==================== MESSAGE HANDLING ====================
 
-    addMessage(text, sender, isHtml = false) {
+    /**
+     * Add a chat bubble to the transcript
+     * @param {String} text - Plain text, or HTML when isHtml is true
+     * @param {String} sender - 'agent' or 'user'
+     * @param {Boolean} isHtml - Text is markdownToHtml output, rendered by _renderMessageHtml
+     * @param {Object} extras - { choices, attachments, author: { name, role } } for agent messages,
+     *                          plus { timestamp, entryId } when rebuilt from server entries
+     *                          and { deliveryStatus, apiMessageId, isNewSession } for queued user messages
+     * @returns {String} The local message id
+     */
+    addMessage(text, sender, isHtml = false, {
+        choices = null,
+        form = null,
+        attachments = [],
+        citations = [],
+        author = null,
+        timestamp = null,
+        entryId = null,
+        deliveryStatus = null,
+        apiMessageId = null,
+        isNewSession = false
+    } = {}) {
+        if (entryId) {
+            this._renderedEntryIds.add(entryId);
+        }
         this._messageIdCounter++;
+        const isHumanAgent = sender === 'agent' && author?.role === 'Agent';
+        const agentClass = isHumanAgent ? 'human' : 'bot';
         let bubbleStyle;
         if (sender === 'agent') {
             bubbleStyle = `background-color: ${this.agentBubbleColor};`;
@@ -1116,11 +3824,30 @@ export default class AgentforceWebHost extends LightningElement {
             isAgent: sender === 'agent',
             isUser: sender === 'user',
             isHtml: isHtml,
-            time: this._formatTime(new Date()),
-            senderName: sender === 'agent' ? this.chatHeaderTitle : 'You',
-            containerClass: `message-row ${sender}`,
-            bubbleClass: `message-bubble ${sender}`,
-            bubbleStyle: bubbleStyle
+            time: this._formatTime(timestamp ? new Date(timestamp) : new Date()),
+            timestamp: timestamp ? new Date(timestamp).getTime() : Date.now(),
+            senderName: sender === 'agent' ? (author?.name || this.chatHeaderTitle) : LABELS.you,
+            isHumanAgent: isHumanAgent,
+            agentInitials: isHumanAgent ? this._getInitials(author.name) : '',
+            containerClass: sender === 'agent' ? `message-row agent ${agentClass}` : `message-row ${sender}`,
+            bubbleClass: sender === 'agent' ? `message-bubble agent ${agentClass}` : `message-bubble ${sender}`,
+            bubbleStyle: bubbleStyle,
+            hasText: !!text,
+            hasBubble: !!text || attachments.length > 0,
+            hasAttachments: attachments.length > 0,
+            attachments: attachments,
+            hasCitations: citations.length > 0,
+            citations: citations,
+            citationsLabel: formatLabel(LABELS.sourcesCount, citations.length),
+            apiMessageId: apiMessageId,
+            isNewSession: isNewSession, // Kept so a retry is sent the way it was first queued
+            entryId: entryId,
+            readEntryId: sender === 'agent' ? entryId : null, // Observed for read receipts
+            canRate: sender === 'agent' && !!entryId, // Local error notices have no entry and can't be rated
+            ...buildFeedbackState(),
+            ...this._buildDeliveryState(deliveryStatus),
+            ...buildChoiceState(choices),
+            ...this._buildFormState(form)
         };
 
         this.messages = [...this.messages, message];
@@ -1130,6 +3857,237 @@ export default class AgentforceWebHost extends LightningElement {
         setTimeout(() => {
             this.scrollToBottom();
         }, 50);
+
+        return message.id;
+    }
+
+    /**
+     * Add a centered system notice (agent joined / left) to the transcript
+     */
+    addSystemNotice(text, timestamp = null) {
+        this._messageIdCounter++;
+        this.messages = [...this.messages, {
+            id: `msg-${this._messageIdCounter}`,
+            text: text,
+            sender: 'system',
+            isSystem: true,
+            time: this._formatTime(timestamp ? new Date(timestamp) : new Date()),
+            timestamp: timestamp ? new Date(timestamp).getTime() : Date.now(),
+            containerClass: 'message-row system'
+        }];
+
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        setTimeout(() => {
+            this.scrollToBottom();
+        }, 50);
+    }
+
+    /**
+     * Fill each HTML message's lwc:dom="manual" container, so its links are part of this
+     * template and handleMessageBubbleClick sees them in either shadow mode
+     */
+    _renderMessageHtml() {
+        this.template.querySelectorAll('.message-html').forEach(container => {
+            const message = this.messages.find(msg => msg.id === container.dataset.messageId);
+            if (message) {
+                renderHtml(container, message.text);
+            }
+        });
+    }
+
+    _getInitials(name) {
+        const parts = (name || '').trim().split(/\s+/).filter(part => part);
+        if (parts.length === 0) {
+            return '?';
+        }
+        const first = parts[0].charAt(0);
+        const last = parts.length > 1 ? parts[parts.length - 1].charAt(0) : '';
+        return (first + last).toUpperCase();
+    }
+
+    /**
+     * Extract the fields of a FormMessage (form and input-collection messages)
+     * Supported inputs: text, email, date, picklist and checkbox - other input types are skipped
+     * @param {Object} abstractMessage - The abstractMessage from the SSE entry payload
+     * @returns {Object} { title, messageId, fields: [{ id, name, label, type, responseType, required, placeholder, maxLength, options }] } or null
+     */
+    _parseForm(abstractMessage) {
+        if (abstractMessage?.messageType !== 'FormMessage') {
+            return null;
+        }
+
+        const form = abstractMessage.inputs || abstractMessage.form || {};
+        const sections = form.sections || abstractMessage.sections || [];
+        const fields = sections
+            .flatMap(section => (section.input ? [section.input] : section.inputs || []))
+            .map(input => this._parseFormField(input))
+            .filter(field => field !== null);
+
+        if (fields.length === 0) {
+            return null;
+        }
+
+        return {
+            title: form.messageTitle?.title || form.title || abstractMessage.title || '',
+            messageId: abstractMessage.id,
+            fields: fields
+        };
+    }
+
+    _parseFormField(input) {
+        const inputType = input.inputType || input.type || '';
+        let type;
+        let responseType;
+        if (inputType === 'TextInput') {
+            type = input.textInputType === 'Email' ? 'email' : 'text';
+            responseType = 'TextInputValue';
+        } else if (inputType === 'EmailInput') {
+            type = 'email';
+            responseType = 'TextInputValue';
+        } else if (inputType === 'DateInput' || inputType === 'DateTimeInput') {
+            type = 'date';
+            responseType = 'DateInputValue';
+        } else if (inputType === 'SelectInput' || inputType === 'ListPicker' || inputType === 'PicklistInput') {
+            type = 'picklist';
+            responseType = 'SelectInputValue';
+        } else if (inputType === 'CheckboxInput' || inputType === 'ToggleInput') {
+            type = 'checkbox';
+            responseType = 'ToggleInputValue';
+        } else {
+            return null;
+        }
+
+        const id = input.id || input.name;
+        if (!id) {
+            return null;
+        }
+
+        const options = (input.optionItems || input.options || [])
+            .map(option => ({
+                label: option.titleItem?.title || option.title || option.label || '',
+                value: option.optionIdentifier || option.value || ''
+            }))
+            .filter(option => option.value);
+
+        return {
+            id: id,
+            name: input.name || id,
+            label: input.label?.title || input.label || input.name || id,
+            type: type,
+            responseType: responseType,
+            required: !!input.required,
+            placeholder: input.placeholder?.title || input.placeholder || '',
+            maxLength: input.maximumCharacterCount || null,
+            options: options
+        };
+    }
+
+    /**
+     * Extract file attachments from an Attachments static content message
+     * @param {Object} abstractMessage - The abstractMessage from the SSE entry payload
+     * @returns {Array} Template-ready attachments (empty if none)
+     */
+    _parseAttachments(abstractMessage) {
+        const attachments = abstractMessage?.staticContent?.attachments || [];
+        return attachments
+            .map(attachment => ({ ...attachment, url: attachment.url ? sanitizeUrl(attachment.url) : null }))
+            .filter(attachment => attachment.url)
+            .map(attachment => this._buildAttachment({
+                name: attachment.name,
+                mimeType: attachment.mimeType,
+                url: attachment.url
+            }));
+    }
+
+    /**
+     * Parse the sources behind an answer's numbered references ([1], [2]...)
+     * Grounded answers carry them as citations on the message - each has a title and
+     * either a URL or a Knowledge article, which links into this site
+     * @param {Object} abstractMessage - The message from the conversation entry
+     * @returns {Array} [{ key, number, title, url, linkLabel, hasUrl }] ordered by number
+     */
+    _parseCitations(abstractMessage) {
+        const citations = abstractMessage?.citations || abstractMessage?.staticContent?.citations || [];
+        return citations
+            .map((citation, index) => {
+                const number = Number(citation.citationNumber || citation.number || index + 1);
+                const isKnowledge = !citation.url && !!(citation.urlName || citation.knowledgeArticleId || citation.recordId);
+                let url = citation.url;
+                if (!url && citation.urlName) {
+                    url = `${basePath}/article/${encodeURIComponent(citation.urlName)}`;
+                } else if (!url && (citation.knowledgeArticleId || citation.recordId)) {
+                    url = `${basePath}/detail/${encodeURIComponent(citation.knowledgeArticleId || citation.recordId)}`;
+                }
+                const safeUrl = url ? sanitizeUrl(url) : null;
+                return {
+                    key: `citation-${number}`,
+                    number: number,
+                    title: citation.title || citation.label || formatLabel(LABELS.sourceFallbackTitle, number),
+                    url: safeUrl,
+                    hasUrl: !!safeUrl,
+                    linkLabel: isKnowledge ? LABELS.knowledgeArticle : safeUrl
+                };
+            })
+            .sort((a, b) => a.number - b.number);
+    }
+
+    /**
+     * Build the template state for one attachment chip / image preview
+     */
+    _buildAttachment({ name, mimeType, url, size }) {
+        return {
+            key: this.generateUUID(),
+            name: name || LABELS.attachmentFallbackName,
+            url: url,
+            isImage: this._isImageType(mimeType) && !!url,
+            sizeLabel: size ? this._formatFileSize(size) : ''
+        };
+    }
+
+    _formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    /**
+     * Build the template state for a message's inline form
+     * @param {Object} form - Parsed form from _parseForm (or null)
+     * @param {Object} state - { status: null | 'submitting' | 'submitted', values: { fieldId: value } }
+     */
+    _buildFormState(form, { status = null, values = {} } = {}) {
+        if (!form) {
+            return { hasForm: false, formFields: [] };
+        }
+
+        const isLocked = status !== null;
+        return {
+            hasForm: true,
+            formData: form,
+            formLocked: isLocked,
+            formSubmitted: status === 'submitted',
+            formFields: form.fields.map(field => ({
+                key: field.id,
+                id: field.id,
+                label: field.label,
+                inputType: field.type,
+                isPicklist: field.type === 'picklist',
+                isCheckbox: field.type === 'checkbox',
+                required: field.required,
+                placeholder: field.type === 'picklist' ? LABELS.selectAnOption : field.placeholder,
+                maxLength: field.maxLength,
+                options: field.options,
+                value: field.type === 'checkbox' ? undefined : values[field.id],
+                checked: field.type === 'checkbox' ? values[field.id] === true : undefined,
+                disabled: isLocked
+            }))
+        };
+    }
+
+    _setFormState(messageId, state) {
+        this.messages = this.messages.map(msg => {
+            return msg.id === messageId ? { ...msg, ...this._buildFormState(msg.formData, state) } : msg;
+        });
     }
 
     scrollToBottom() {
@@ -1152,6 +4110,10 @@ export default class AgentforceWebHost extends LightningElement {
      * Get the localStorage key for session persistence
      */
     _getStorageKey() {
+        // Verified sessions are per user so members sharing a browser never see each other's chats
+        if (this.useVerifiedSession) {
+            return `agentforce_session_${this.deploymentDeveloperName}_${userId}`;
+        }
         return `agentforce_session_${this.deploymentDeveloperName}`;
     }
 
@@ -1225,7 +4187,7 @@ export default class AgentforceWebHost extends LightningElement {
             if (this._sessionRuleAction === 'Clear_Session') {
                 this._clearStoredSession();
             }
-        } catch (error) {
+        } catch {
             // If rule loading fails, default to persist (fail open)
             this._sessionRuleAction = null;
             this._sessionRuleLoaded = true;
@@ -1233,29 +4195,24 @@ export default class AgentforceWebHost extends LightningElement {
     }
 
     /**
-     * Save current session to localStorage
+     * Save a cursor for the current session to localStorage
+     * Only what the server can't give back is stored - the token, transcript and agent state
+     * are fetched again on restore
      */
     _saveSession() {
         if (!this._shouldPersistSession()) return;
-        if (!this._conversationId || !this._accessToken) return;
+        if (!this._conversationId) return;
 
         const sessionData = {
             conversationId: this._conversationId,
-            accessToken: this._accessToken,
-            lastEventId: this._lastEventId,
-            scrtUrl: this._scrtUrl,
-            orgId: this._orgId,
             sessionId: this.currentSessionId,
-            messages: this.messages,
-            messageCount: this.messageCount,
-            sessionStartTime: this.sessionStartTime,
-            sessionStartTimeFormatted: this._sessionStartTimeFormatted,
+            lastEventId: this._lastEventId,
             timestamp: Date.now()
         };
 
         try {
             localStorage.setItem(this._getStorageKey(), JSON.stringify(sessionData));
-        } catch (e) {
+        } catch {
             // Storage full or disabled - fail silently
         }
     }
@@ -1275,15 +4232,14 @@ export default class AgentforceWebHost extends LightningElement {
 
             const session = JSON.parse(stored);
 
-            // Check if session is stale (older than 1 hour - matches Salesforce token timeout)
-            const ONE_HOUR = 60 * 60 * 1000;
-            if (Date.now() - session.timestamp > ONE_HOUR) {
+            // A chat left alone for longer than a token lasts has timed out on the server
+            if (!session.timestamp || Date.now() >= session.timestamp + this.DEFAULT_TOKEN_LIFETIME_MS) {
                 this._clearStoredSession();
                 return null;
             }
 
             return session;
-        } catch (e) {
+        } catch {
             return null;
         }
     }
@@ -1294,35 +4250,78 @@ export default class AgentforceWebHost extends LightningElement {
     _clearStoredSession() {
         try {
             localStorage.removeItem(this._getStorageKey());
-        } catch (e) {
+        } catch {
             // Fail silently
         }
     }
 
     /**
-     * Restore a session from stored data
+     * Restore a session from its stored cursor
+     * The token and the transcript are fetched again, so replies sent while the page was
+     * closed are shown and the current theme is used
+     * @param {Object} storedSession - { conversationId, sessionId, lastEventId } from _loadSession
      */
     async _restoreSession(storedSession) {
-        // Restore state from storage
+        // A component that was only disconnected keeps its token and transcript, including
+        // messages not sent yet - the history is merged into them
+        if (storedSession.conversationId !== this._conversationId) {
+            this._accessToken = null;
+            this._accessTokenExpiresAt = null;
+            this.messages = [];
+            this._outbox = [];
+            this._renderedEntryIds = new Set();
+        }
         this._conversationId = storedSession.conversationId;
-        this._accessToken = storedSession.accessToken;
         this._lastEventId = storedSession.lastEventId;
-        this._scrtUrl = storedSession.scrtUrl;
-        this._orgId = storedSession.orgId;
         this.currentSessionId = storedSession.sessionId;
-        this.messages = storedSession.messages || [];
-        this.messageCount = storedSession.messageCount || 0;
-        this.sessionStartTime = storedSession.sessionStartTime;
-        this._sessionStartTimeFormatted = storedSession.sessionStartTimeFormatted || this._formatTime(new Date(this.sessionStartTime));
 
-        // Transition to chat screen
+        // Transition to chat screen - the stencil shows until the history is loaded
         this._screenState = 'chat';
         this.isConversationActive = true;
         this._sessionActive = true;
         this._agentGreetingReceived = true;
+        this._isInitializing = true;
+        this._initializingStatus = LABELS.statusLoadingConversation;
+
+        try {
+            await this._fetchRestoreToken();
+        } catch (error) {
+            console.warn('[WebHost] RESTORE TOKEN RENEWAL FAILED:', error.message);
+            if (this.isConversationActive) {
+                this._clearStoredSession();
+                this._resetSessionState();
+            }
+            return;
+        }
+
+        // Rebuild the transcript from the server, including replies sent while the page was closed
+        try {
+            const entries = await this.fetchConversationHistory();
+            this._rebuildMessagesFromHistory(entries);
+        } catch (error) {
+            if (!this.isConversationActive) {
+                return;
+            }
+            // A new guest token can't see the old guest's conversation - start again
+            if ([401, 403, 404].includes(error.status)) {
+                this._clearStoredSession();
+                this._resetSessionState();
+                return;
+            }
+            this.addSystemNotice(LABELS.historyLoadFailed);
+        }
+        this.messageCount = this.messages.filter(msg => !msg.isSystem).length;
+        this.sessionStartTime = this.messages.length > 0 ? this.messages[0].timestamp : Date.now();
+        this._sessionStartTimeFormatted = this._formatTime(new Date(this.sessionStartTime));
 
-        // Reconnect SSE for real-time messages
+        this._isInitializing = false;
+        this._initializingStatus = LABELS.statusConnecting;
+
+        // Reconnect SSE for real-time messages (replayed entries are de-duplicated)
         this.subscribeToSSE();
+        if (this._outbox.length > 0) {
+            this._flushOutbox();
+        }
 
         // Scroll to bottom after render
         // eslint-disable-next-line @lwc/lwc/no-async-operation
@@ -1331,13 +4330,41 @@ export default class AgentforceWebHost extends LightningElement {
         }, 100);
     }
 
-    publishToChannel(eventType, data = {}) {
-        if (!this.currentSessionId || !this.messageContext) {
+    /**
+     * Get a token for a restored conversation
+     * A component that was only disconnected renews the token it still holds; otherwise a new
+     * one is requested the same way a new chat does, which keeps a verified user's conversations
+     */
+    async _fetchRestoreToken() {
+        if (this._accessToken) {
+            if (this._isAccessTokenExpiring()) {
+                await this.renewAccessToken();
+            } else {
+                this._scheduleTokenRenewal();
+            }
+            return;
+        }
+
+        const config = await getTokenRequestConfig({
+            orgId: null,
+            deploymentDeveloperName: this.deploymentDeveloperName
+        });
+        this._scrtUrl = config.scrtUrl;
+        this._orgId = config.orgId;
+
+        const tokenResponse = this.useVerifiedSession
+            ? await this.fetchAuthenticatedAccessToken(config)
+            : await this.fetchAccessToken(config);
+        this._setAccessToken(tokenResponse.accessToken);
+    }
+
+    publishToChannel(eventType, data = {}, sessionId = this.currentSessionId) {
+        if (!sessionId || !this.messageContext) {
             return;
         }
 
         const message = {
-            sessionId: this.currentSessionId,
+            sessionId: sessionId,
             eventType: eventType,
             timestamp: Date.now(),
             data: JSON.stringify(data)
@@ -1345,7 +4372,7 @@ export default class AgentforceWebHost extends LightningElement {
 
         console.log('[WebHost] LMS DISPATCH:', {
             eventType,
-            sessionId: this.currentSessionId,
+            sessionId,
             data
         });
 
@@ -1358,106 +4385,17 @@ export default class AgentforceWebHost extends LightningElement {
 
     // ==================== UTILITIES ====================
 
-    _formatTime(date) {
-        return date.toLocaleTimeString('en-US', {
-            hour: 'numeric',
-            minute: '2-digit',
-            hour12: true
-        });
-    }
-
     /**
-     * Convert markdown text to HTML for rendering in lightning-formatted-rich-text
-     * Supports: **bold**, - bullet lists, nested lists, line breaks
+     * Format a number of seconds as m:ss
      */
-    _markdownToHtml(text) {
-        if (!text) return '';
-
-        // Split into lines for processing
-        let lines = text.split('\n');
-        let html = '';
-        let inList = false;
-        let listStack = []; // Track nested list depths
-
-        for (let i = 0; i < lines.length; i++) {
-            let line = lines[i];
-
-            // Check for list items (-, *, •) with optional indentation
-            const listMatch = line.match(/^(\s*)([-*•])\s+(.*)$/);
-
-            if (listMatch) {
-                const indent = listMatch[1].length;
-                const content = listMatch[3];
-                const depth = Math.floor(indent / 2); // 2 spaces = 1 level
-
-                // Start new list or adjust depth
-                if (!inList) {
-                    inList = true;
-                    html += '<ul>';
-                    listStack = [0];
-                }
-
-                // Handle nesting
-                while (listStack.length - 1 < depth) {
-                    html += '<ul>';
-                    listStack.push(depth);
-                }
-                while (listStack.length - 1 > depth) {
-                    html += '</ul>';
-                    listStack.pop();
-                }
-
-                // Convert inline markdown in list item
-                const processedContent = this._processInlineMarkdown(content);
-                html += `<li>${processedContent}</li>`;
-            } else {
-                // Close any open lists
-                if (inList) {
-                    while (listStack.length > 0) {
-                        html += '</ul>';
-                        listStack.pop();
-                    }
-                    inList = false;
-                }
-
-                // Process non-list line
-                if (line.trim()) {
-                    const processedLine = this._processInlineMarkdown(line);
-                    html += `<p>${processedLine}</p>`;
-                }
-            }
-        }
-
-        // Close any remaining open lists
-        if (inList) {
-            while (listStack.length > 0) {
-                html += '</ul>';
-                listStack.pop();
-            }
-        }
-
-        return html;
+    _formatDuration(totalSeconds) {
+        const seconds = Math.max(0, totalSeconds || 0);
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
     }
 
-    /**
-     * Process inline markdown elements (bold, italic, links)
-     */
-    _processInlineMarkdown(text) {
-        if (!text) return '';
-
-        // Convert **bold** to <strong>
-        text = text.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
-
-        // Convert *italic* to <em> (but not if already part of **)
-        text = text.replace(/(?<!\*)\*([^*]+)\*(?!\*)/g, '<em>$1</em>');
-
-        // Convert [text](url) to <a>
-        text = text.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank">$1</a>');
-
-        // Convert citation references like [1] to superscript
-        text = text.replace(/\[(\d+)\]/g, '<sup>[$1]</sup>');
-
-        return text;
+    _formatTime(date) {
+        return formatTime(date);
     }
 
     // ==================== PUBLIC API ====================
@@ -1496,47 +4434,157 @@ export default class AgentforceWebHost extends LightningElement {
 
     @api
     endSession() {
-        if (this.isConversationActive) {
-            // Clear persisted session from localStorage
-            this._clearStoredSession();
+        return this._endSession({ closeOnServer: true, reason: 'UserEnded' });
+    }
 
-            this.closeSSEConnection();
+    /**
+     * Tear down the local session straight away, then close the conversation on the server
+     * SESSION_ENDED is published once the close has been confirmed, has given up or has taken
+     * longer than CLOSE_CONVERSATION_TIMEOUT_MS - serverClosed says which
+     * @param {Object} options - { closeOnServer, reason }
+     */
+    async _endSession({ closeOnServer, reason }) {
+        if (!this.isConversationActive) {
+            return;
+        }
 
-            this.publishToChannel('SESSION_ENDED', {
-                messageCount: this.messageCount,
-                conversationId: this._conversationId
-            });
+        // Capture what the close and the events need before local state is reset
+        const endedSession = {
+            sessionId: this.currentSessionId,
+            conversationId: this._conversationId,
+            accessToken: this._accessToken,
+            scrtUrl: this._scrtUrl,
+            messageCount: this.messageCount,
+            queueWaitSeconds: this._getQueueWaitSeconds(),
+            leftMessage: this._leftMessageInQueue,
+            messages: this.messages
+        };
 
-            console.log('[WebHost] DOM EVENT DISPATCH: sessionended', {
-                sessionId: this.currentSessionId,
-                conversationId: this._conversationId,
-                messageCount: this.messageCount
-            });
-            this.dispatchEvent(new CustomEvent('sessionended', {
-                detail: {
-                    sessionId: this.currentSessionId,
-                    conversationId: this._conversationId,
-                    messageCount: this.messageCount
-                },
-                bubbles: true,
-                composed: true
-            }));
+        // Clear persisted session from localStorage
+        this._clearStoredSession();
 
-            this.isConversationActive = false;
-            this._screenState = 'welcome';
-            this.messages = [];
-            this.messageCount = 0;
-            this._accessToken = null;
-            this._conversationId = null;
-            this._lastEventId = null;
-            this._sessionActive = false;
-            this._waitingForSession = false;
-            this._sessionActiveResolver = null;
-            this._agentGreetingReceived = false;
-            this._agentGreetingResolver = null;
-            this._isInitializing = false;
-            this._initializingStatus = 'Connecting...';
-            this.generateSessionId();
+        this.closeSSEConnection();
+        this._clearTokenRenewalTimeout();
+        this._resetSessionState();
+
+        if (this._saveTranscriptOnEndEnabled) {
+            this._saveTranscript(endedSession.messages, endedSession.sessionId, false);
+        }
+
+        // Ask how it went before returning to the welcome screen
+        if (reason === 'UserEnded' && this._csatSurveyEnabled) {
+            this._showEndScreen(endedSession);
+        }
+
+        const serverClosed = closeOnServer
+            ? await this._closeConversationWithTimeout(endedSession)
+            : false;
+
+        this.publishToChannel('SESSION_ENDED', {
+            messageCount: endedSession.messageCount,
+            conversationId: endedSession.conversationId,
+            reason: reason,
+            serverClosed: serverClosed,
+            queueWaitSeconds: endedSession.queueWaitSeconds,
+            leftMessage: endedSession.leftMessage
+        }, endedSession.sessionId);
+
+        console.log('[WebHost] DOM EVENT DISPATCH: sessionended', {
+            sessionId: endedSession.sessionId,
+            conversationId: endedSession.conversationId,
+            messageCount: endedSession.messageCount
+        });
+        this.dispatchEvent(new CustomEvent('sessionended', {
+            detail: {
+                sessionId: endedSession.sessionId,
+                conversationId: endedSession.conversationId,
+                messageCount: endedSession.messageCount,
+                serverClosed: serverClosed,
+                reason: reason
+            },
+            bubbles: true,
+            composed: true
+        }));
+    }
+
+    /**
+     * Close the conversation on the server, giving up after CLOSE_CONVERSATION_TIMEOUT_MS
+     * @param {Object} endedSession - Snapshot captured by _endSession
+     * @returns {Promise<Boolean>} true if the server confirmed the close in time
+     */
+    _closeConversationWithTimeout(endedSession) {
+        return Promise.race([
+            this.closeConversationOnServer(endedSession),
+            this._delay(this.CLOSE_CONVERSATION_TIMEOUT_MS).then(() => false)
+        ]);
+    }
+
+    /**
+     * Show the end-of-conversation screen for a chat that has just been torn down
+     * @param {Object} endedSession - Snapshot captured by _endSession
+     */
+    _showEndScreen(endedSession) {
+        this._endedSession = {
+            sessionId: endedSession.sessionId,
+            conversationId: endedSession.conversationId,
+            messages: endedSession.messages
+        };
+        this._csatRating = null;
+        this._csatComment = '';
+        this._csatSubmitted = false;
+        this._screenState = 'ended';
+    }
+
+    /**
+     * Return to the welcome screen with a fresh session Id
+     */
+    _resetSessionState() {
+        this.isConversationActive = false;
+        this._conversationEnded = false;
+        this._hasEscalated = false;
+        this._humanAgentPresent = false;
+        this._clearQueueTimer();
+        this._queueStatus = null;
+        this._queueWaitStartedAt = null;
+        this._queueElapsedSeconds = 0;
+        this._queueWaitSeconds = null;
+        this._leftMessageInQueue = false;
+        this.isAgentTyping = false;
+        this._screenState = 'welcome';
+        this.messages = [];
+        this._outbox = [];
+        this._failedUploads = new Map();
+        this._renderedEntryIds = new Set();
+        this._isUserTyping = false;
+        this._clearTypingStopTimeout();
+        this._acknowledgedEntryIds = new Set();
+        this._pendingReadAcks = [];
+        this._clearReadAckTimeout();
+        this._disconnectReadObserver();
+        this.messageCount = 0;
+        this._attachmentError = null;
+        this._lightboxImage = null;
+        this._sourcesDrawer = null;
+        this._endedSession = null;
+        this._emailDialog = null;
+        this._transcriptSaveNotice = null;
+        if (this._unreadCount > 0) {
+            this._unreadCount = 0;
+            this._savePanelState();
         }
+        this._revokeObjectUrls();
+        this._accessToken = null;
+        this._accessTokenExpiresAt = null;
+        this._isVerifiedSession = false;
+        this._conversationId = null;
+        this._lastEventId = null;
+        this._sessionActive = false;
+        this._waitingForSession = false;
+        this._sessionActiveResolver = null;
+        this._agentGreetingReceived = false;
+        this._agentGreetingResolver = null;
+        this._isInitializing = false;
+        this._initializingStatus = LABELS.statusConnecting;
+        this.generateSessionId();
     }
 }
@@ -30,6 +30,8 @@ export default class AgentforceWebHostCPE extends LightningElement {
         displayMode: 'FloatingButton',
         inlineContainerHeight: 500,
         inlineContainerWidth: 400,
+        launcherIconName: 'utility:chat',
+        launcherPosition: 'BottomRight',
 
         // Branding Configuration
         headerBackgroundColor: '#0176d3',
@@ -46,7 +48,23 @@ export default class AgentforceWebHostCPE extends LightningElement {
 
         // Feature Toggles
         enablePrechat: false,
-        enableOfflineSupport: false
+        enableOfflineSupport: false,
+        enableUserVerification: false,
+        enableAttachments: false,
+        maxAttachmentSizeMb: 5,
+        allowedAttachmentTypes: 'image/*,.pdf,.txt,.csv,.doc,.docx',
+        enableTypingIndicator: false,
+        enableReadReceipts: false,
+        enableCsatSurvey: false,
+        enableTranscriptEmail: false,
+        enableTranscriptSave: false,
+        saveTranscriptOnEnd: false,
+        enableReplyNotifications: false,
+        playNotificationSound: false,
+        enableDesktopNotifications: false,
+
+        // Conversation Context - sent as hidden pre-chat / routing attributes
+        contextMappings: []
     };
 
     // Experience Cloud CPE Contract - value getter/setter
@@ -64,7 +82,7 @@ export default class AgentforceWebHostCPE extends LightningElement {
         if (typeof val === 'string' && val) {
             try {
                 parsed = JSON.parse(val);
-            } catch (e) {
+            } catch {
                 parsed = {};
             }
         } else if (val && typeof val === 'object') {
@@ -84,6 +102,7 @@ export default class AgentforceWebHostCPE extends LightningElement {
     @track isBrandingExpanded = false;
     @track isLabelsExpanded = false;
     @track isFeaturesExpanded = false;
+    @track isContextExpanded = false;
 
     // ==================== OPTIONS ====================
 
@@ -94,6 +113,13 @@ export default class AgentforceWebHostCPE extends LightningElement {
         ];
     }
 
+    get launcherPositionOptions() {
+        return [
+            { label: 'Bottom Right', value: 'BottomRight' },
+            { label: 'Bottom Left', value: 'BottomLeft' }
+        ];
+    }
+
     get fontFamilyOptions() {
         return [
             { label: 'Salesforce Sans', value: 'Salesforce Sans, sans-serif' },
@@ -103,6 +129,17 @@ export default class AgentforceWebHostCPE extends LightningElement {
         ];
     }
 
+    get contextSourceOptions() {
+        return [
+            { label: 'Current Route', value: 'route' },
+            { label: 'Page URL', value: 'pageUrl' },
+            { label: 'URL Parameter', value: 'urlParameter' },
+            { label: 'Record Id (record pages)', value: 'recordId' },
+            { label: 'Search Term', value: 'searchTerm' },
+            { label: 'User Field', value: 'userField' }
+        ];
+    }
+
     // ==================== COMPUTED PROPERTIES ====================
 
     // Section icons
@@ -126,11 +163,19 @@ export default class AgentforceWebHostCPE extends LightningElement {
         return this.isFeaturesExpanded ? 'utility:chevrondown' : 'utility:chevronright';
     }
 
+    get contextIconName() {
+        return this.isContextExpanded ? 'utility:chevrondown' : 'utility:chevronright';
+    }
+
     // Conditional display
     get showInlineOptions() {
         return this._config.displayMode === 'Inline';
     }
 
+    get showFloatingOptions() {
+        return this._config.displayMode === 'FloatingButton';
+    }
+
     // Template bindings - Setup (matches Salesforce generated snippet)
     get orgId() { return this._config.orgId; }
     get deploymentDevName() { return this._config.deploymentDevName; }
@@ -141,6 +186,8 @@ export default class AgentforceWebHostCPE extends LightningElement {
     get displayMode() { return this._config.displayMode; }
     get inlineContainerHeight() { return this._config.inlineContainerHeight; }
     get inlineContainerWidth() { return this._config.inlineContainerWidth; }
+    get launcherIconName() { return this._config.launcherIconName; }
+    get launcherPosition() { return this._config.launcherPosition; }
 
     // Template bindings - Branding
     get headerBackgroundColor() { return this._config.headerBackgroundColor; }
@@ -158,6 +205,38 @@ export default class AgentforceWebHostCPE extends LightningElement {
     // Template bindings - Features
     get enablePrechat() { return this._config.enablePrechat; }
     get enableOfflineSupport() { return this._config.enableOfflineSupport; }
+    get enableUserVerification() { return this._config.enableUserVerification; }
+    get enableAttachments() { return this._config.enableAttachments; }
+    get maxAttachmentSizeMb() { return this._config.maxAttachmentSizeMb; }
+    get allowedAttachmentTypes() { return this._config.allowedAttachmentTypes; }
+    get enableTypingIndicator() { return this._config.enableTypingIndicator; }
+    get enableReadReceipts() { return this._config.enableReadReceipts; }
+    get enableCsatSurvey() { return this._config.enableCsatSurvey; }
+    get enableTranscriptEmail() { return this._config.enableTranscriptEmail; }
+    get enableTranscriptSave() { return this._config.enableTranscriptSave; }
+    get saveTranscriptOnEnd() { return this._config.saveTranscriptOnEnd; }
+    get enableReplyNotifications() { return this._config.enableReplyNotifications; }
+    get playNotificationSound() { return this._config.playNotificationSound; }
+    get enableDesktopNotifications() { return this._config.enableDesktopNotifications; }
+
+    // Template bindings - Conversation Context
+    get contextMappingRows() {
+        const mappings = Array.isArray(this._config.contextMappings) ? this._config.contextMappings : [];
+        return mappings.map((mapping, index) => ({
+            ...mapping,
+            index,
+            number: index + 1,
+            key: `mapping-${index}`,
+            keyValue: mapping.key,
+            showKeyInput: mapping.source === 'urlParameter' || mapping.source === 'userField',
+            keyLabel: mapping.source === 'userField' ? 'User Field API Name' : 'Parameter Name',
+            keyPlaceholder: mapping.source === 'userField' ? 'Contact.AccountId' : 'productId'
+        }));
+    }
+
+    get hasContextMappings() {
+        return this.contextMappingRows.length > 0;
+    }
 
     // ==================== CORE METHODS ====================
 
@@ -198,6 +277,10 @@ export default class AgentforceWebHostCPE extends LightningElement {
         this.isFeaturesExpanded = !this.isFeaturesExpanded;
     }
 
+    toggleContext() {
+        this.isContextExpanded = !this.isContextExpanded;
+    }
+
     // ==================== SETUP SECTION HANDLERS ====================
 
     handleOrgIdChange(event) {
@@ -230,6 +313,14 @@ export default class AgentforceWebHostCPE extends LightningElement {
         this.updateProperty('inlineContainerWidth', parseInt(event.detail.value, 10) || 400);
     }
 
+    handleLauncherIconChange(event) {
+        this.updateProperty('launcherIconName', event.detail.value.trim() || 'utility:chat');
+    }
+
+    handleLauncherPositionChange(event) {
+        this.updateProperty('launcherPosition', event.detail.value);
+    }
+
     // ==================== BRANDING SECTION HANDLERS ====================
 
     handleHeaderBackgroundColorChange(event) {
@@ -284,4 +375,90 @@ export default class AgentforceWebHostCPE extends LightningElement {
     handleOfflineSupportToggle(event) {
         this.updateProperty('enableOfflineSupport', event.target.checked);
     }
+
+    handleUserVerificationToggle(event) {
+        this.updateProperty('enableUserVerification', event.target.checked);
+    }
+
+    handleAttachmentsToggle(event) {
+        this.updateProperty('enableAttachments', event.target.checked);
+    }
+
+    handleMaxAttachmentSizeChange(event) {
+        this.updateProperty('maxAttachmentSizeMb', parseInt(event.detail.value, 10) || 5);
+    }
+
+    handleAllowedAttachmentTypesChange(event) {
+        this.updateProperty('allowedAttachmentTypes', event.detail.value);
+    }
+
+    handleTypingIndicatorToggle(event) {
+        this.updateProperty('enableTypingIndicator', event.target.checked);
+    }
+
+    handleReadReceiptsToggle(event) {
+        this.updateProperty('enableReadReceipts', event.target.checked);
+    }
+
+    handleCsatSurveyToggle(event) {
+        this.updateProperty('enableCsatSurvey', event.target.checked);
+    }
+
+    handleTranscriptEmailToggle(event) {
+        this.updateProperty('enableTranscriptEmail', event.target.checked);
+    }
+
+    handleTranscriptSaveToggle(event) {
+        this.updateProperty('enableTranscriptSave', event.target.checked);
+    }
+
+    handleSaveTranscriptOnEndToggle(event) {
+        this.updateProperty('saveTranscriptOnEnd', event.target.checked);
+    }
+
+    handleReplyNotificationsToggle(event) {
+        this.updateProperty('enableReplyNotifications', event.target.checked);
+    }
+
+    handleNotificationSoundToggle(event) {
+        this.updateProperty('playNotificationSound', event.target.checked);
+    }
+
+    handleDesktopNotificationsToggle(event) {
+        this.updateProperty('enableDesktopNotifications', event.target.checked);
+    }
+
+    // ==================== CONTEXT SECTION HANDLERS ====================
+
+    handleAddContextMapping() {
+        const mappings = [...(this._config.contextMappings || [])];
+        mappings.push({ source: 'route', key: '', attributeName: '' });
+        this.updateProperty('contextMappings', mappings);
+    }
+
+    handleRemoveContextMapping(event) {
+        const index = parseInt(event.currentTarget.dataset.index, 10);
+        const mappings = (this._config.contextMappings || []).filter((mapping, i) => i !== index);
+        this.updateProperty('contextMappings', mappings);
+    }
+
+    handleContextSourceChange(event) {
+        this._updateContextMapping(event.target.dataset.index, 'source', event.detail.value);
+    }
+
+    handleContextKeyChange(event) {
+        this._updateContextMapping(event.target.dataset.index, 'key', event.detail.value);
+    }
+
+    handleContextAttributeChange(event) {
+        this._updateContextMapping(event.target.dataset.index, 'attributeName', event.detail.value);
+    }
+
+    _updateContextMapping(indexValue, propertyName, propertyValue) {
+        const index = parseInt(indexValue, 10);
+        const mappings = (this._config.contextMappings || []).map((mapping, i) => {
+            return i === index ? { ...mapping, [propertyName]: propertyValue } : mapping;
+        });
+        this.updateProperty('contextMappings', mappings);
+    }
 }